@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "public"."Review" ADD COLUMN     "ageRange" TEXT,
+ADD COLUMN     "fitRating" INTEGER,
+ADD COLUMN     "imageFileId" TEXT,
+ADD COLUMN     "recommendsProduct" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "shippingRating" INTEGER,
+ADD COLUMN     "sizePurchased" TEXT,
+ADD COLUMN     "videoFileId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "Review_shopifyProductId_idx" ON "public"."Review"("shopifyProductId");
@@ -0,0 +1,55 @@
+-- CreateEnum
+CREATE TYPE "public"."SyncJobStatus" AS ENUM ('PENDING', 'PROCESSING', 'COMPLETED', 'FAILED', 'DEAD');
+
+-- AlterTable
+ALTER TABLE "public"."Review" ADD COLUMN     "linkedToProductAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "public"."ReviewMedia" (
+    "id" TEXT NOT NULL,
+    "reviewId" TEXT NOT NULL,
+    "kind" TEXT NOT NULL,
+    "mimeType" TEXT NOT NULL,
+    "filename" TEXT NOT NULL,
+    "sizeBytes" INTEGER NOT NULL,
+    "data" BYTEA,
+    "fileId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ReviewMedia_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."SyncJob" (
+    "id" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "reviewId" TEXT,
+    "payload" JSONB,
+    "status" "public"."SyncJobStatus" NOT NULL DEFAULT 'PENDING',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "maxAttempts" INTEGER NOT NULL,
+    "runAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lockedAt" TIMESTAMP(3),
+    "lastError" TEXT,
+    "completedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "SyncJob_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ReviewMedia_reviewId_idx" ON "public"."ReviewMedia"("reviewId");
+
+-- CreateIndex
+CREATE INDEX "SyncJob_status_runAt_idx" ON "public"."SyncJob"("status", "runAt");
+
+-- CreateIndex
+CREATE INDEX "SyncJob_reviewId_idx" ON "public"."SyncJob"("reviewId");
+
+-- AddForeignKey
+ALTER TABLE "public"."ReviewMedia" ADD CONSTRAINT "ReviewMedia_reviewId_fkey" FOREIGN KEY ("reviewId") REFERENCES "public"."Review"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."SyncJob" ADD CONSTRAINT "SyncJob_reviewId_fkey" FOREIGN KEY ("reviewId") REFERENCES "public"."Review"("id") ON DELETE CASCADE ON UPDATE CASCADE;
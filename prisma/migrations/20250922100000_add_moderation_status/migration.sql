@@ -0,0 +1,18 @@
+-- CreateEnum
+CREATE TYPE "public"."ModerationStatus" AS ENUM ('PENDING', 'APPROVED', 'REJECTED', 'SPAM');
+
+-- AlterTable
+ALTER TABLE "public"."Review" ADD COLUMN     "moderatedAt" TIMESTAMP(3),
+ADD COLUMN     "moderatedBy" TEXT,
+ADD COLUMN     "moderationNote" TEXT,
+ADD COLUMN     "moderationStatus" "public"."ModerationStatus" NOT NULL DEFAULT 'PENDING',
+ADD COLUMN     "rejectionReason" TEXT;
+
+-- Carry over reviews that were already approved
+UPDATE "public"."Review" SET "moderationStatus" = 'APPROVED' WHERE "isApproved" = true;
+
+-- AlterTable
+ALTER TABLE "public"."Review" DROP COLUMN "isApproved";
+
+-- CreateIndex
+CREATE INDEX "Review_moderationStatus_createdAt_idx" ON "public"."Review"("moderationStatus", "createdAt");
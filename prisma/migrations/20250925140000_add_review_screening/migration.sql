@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "public"."Review" ADD COLUMN     "screeningRules" JSONB,
+ADD COLUMN     "screeningScore" INTEGER;
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "public"."Review" ADD COLUMN     "verificationCheckedAt" TIMESTAMP(3),
+ADD COLUMN     "verifiedOrderId" TEXT;
@@ -0,0 +1,20 @@
+-- CreateEnum
+CREATE TYPE "public"."MediaUploadStatus" AS ENUM ('PENDING', 'UPLOADED', 'FAILED');
+
+-- AlterTable
+ALTER TABLE "public"."Review" ADD COLUMN     "mediaFileIds" TEXT[] DEFAULT ARRAY[]::TEXT[];
+
+-- AlterTable
+ALTER TABLE "public"."ReviewMedia" ADD COLUMN     "position" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "uploadAttempts" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "uploadError" TEXT,
+ADD COLUMN     "uploadStatus" "public"."MediaUploadStatus" NOT NULL DEFAULT 'PENDING';
+
+-- Media uploaded before this migration already reached Shopify
+UPDATE "public"."ReviewMedia" SET "uploadStatus" = 'UPLOADED' WHERE "fileId" IS NOT NULL;
+
+UPDATE "public"."Review" r SET "mediaFileIds" = ARRAY(
+  SELECT m."fileId" FROM "public"."ReviewMedia" m
+  WHERE m."reviewId" = r."id" AND m."fileId" IS NOT NULL
+  ORDER BY m."createdAt"
+);
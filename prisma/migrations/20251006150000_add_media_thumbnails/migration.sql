@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE "public"."Review" ADD COLUMN     "thumbnailFileIds" TEXT[] DEFAULT ARRAY[]::TEXT[];
+
+-- AlterTable
+ALTER TABLE "public"."ReviewMedia" ADD COLUMN     "height" INTEGER,
+ADD COLUMN     "thumbnailData" BYTEA,
+ADD COLUMN     "thumbnailFileId" TEXT,
+ADD COLUMN     "thumbnailMimeType" TEXT,
+ADD COLUMN     "thumbnailSizeBytes" INTEGER,
+ADD COLUMN     "width" INTEGER;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "public"."SyncJob" ADD COLUMN     "dedupeKey" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SyncJob_dedupeKey_key" ON "public"."SyncJob"("dedupeKey");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."Review" ADD COLUMN     "sizeFit" INTEGER;
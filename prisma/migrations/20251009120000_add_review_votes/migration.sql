@@ -0,0 +1,28 @@
+-- CreateEnum
+CREATE TYPE "public"."ReviewVoteValue" AS ENUM ('HELPFUL', 'NOT_HELPFUL');
+
+-- AlterTable
+ALTER TABLE "public"."Review" ADD COLUMN     "helpfulCount" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "notHelpfulCount" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "public"."ReviewVote" (
+    "id" TEXT NOT NULL,
+    "reviewId" TEXT NOT NULL,
+    "voterHash" TEXT NOT NULL,
+    "value" "public"."ReviewVoteValue" NOT NULL,
+    "ipHash" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ReviewVote_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ReviewVote_reviewId_voterHash_key" ON "public"."ReviewVote"("reviewId", "voterHash");
+
+-- CreateIndex
+CREATE INDEX "ReviewVote_reviewId_ipHash_idx" ON "public"."ReviewVote"("reviewId", "ipHash");
+
+-- AddForeignKey
+ALTER TABLE "public"."ReviewVote" ADD CONSTRAINT "ReviewVote_reviewId_fkey" FOREIGN KEY ("reviewId") REFERENCES "public"."Review"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "public"."ReviewReply" (
+    "id" TEXT NOT NULL,
+    "reviewId" TEXT NOT NULL,
+    "body" TEXT NOT NULL,
+    "authorName" TEXT NOT NULL,
+    "moderationStatus" "public"."ModerationStatus" NOT NULL DEFAULT 'APPROVED',
+    "createdBy" TEXT,
+    "updatedBy" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ReviewReply_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ReviewReply_reviewId_key" ON "public"."ReviewReply"("reviewId");
+
+-- AddForeignKey
+ALTER TABLE "public"."ReviewReply" ADD CONSTRAINT "ReviewReply_reviewId_fkey" FOREIGN KEY ("reviewId") REFERENCES "public"."Review"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,29 @@
+-- AlterTable
+ALTER TABLE "public"."Review" ADD COLUMN     "reportCount" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "public"."ReviewReport" (
+    "id" TEXT NOT NULL,
+    "reviewId" TEXT NOT NULL,
+    "reporterHash" TEXT NOT NULL,
+    "reason" TEXT NOT NULL,
+    "comment" TEXT,
+    "ipHash" TEXT,
+    "resolvedAt" TIMESTAMP(3),
+    "resolvedBy" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ReviewReport_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Review_reportCount_idx" ON "public"."Review"("reportCount");
+
+-- CreateIndex
+CREATE INDEX "ReviewReport_reviewId_resolvedAt_idx" ON "public"."ReviewReport"("reviewId", "resolvedAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ReviewReport_reviewId_reporterHash_key" ON "public"."ReviewReport"("reviewId", "reporterHash");
+
+-- AddForeignKey
+ALTER TABLE "public"."ReviewReport" ADD CONSTRAINT "ReviewReport_reviewId_fkey" FOREIGN KEY ("reviewId") REFERENCES "public"."Review"("id") ON DELETE CASCADE ON UPDATE CASCADE;
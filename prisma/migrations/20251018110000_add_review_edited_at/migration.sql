@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."Review" ADD COLUMN     "editedAt" TIMESTAMP(3);
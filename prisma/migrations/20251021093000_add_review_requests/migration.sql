@@ -0,0 +1,69 @@
+-- CreateEnum
+CREATE TYPE "public"."ReviewRequestStatus" AS ENUM ('SCHEDULED', 'SENT', 'SKIPPED');
+
+-- AlterTable
+ALTER TABLE "public"."Review" ADD COLUMN     "reviewRequestId" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."ReviewRequest" (
+    "id" TEXT NOT NULL,
+    "shopifyOrderId" TEXT NOT NULL,
+    "orderName" TEXT,
+    "email" TEXT NOT NULL,
+    "customerName" TEXT,
+    "products" JSONB NOT NULL,
+    "fulfilledAt" TIMESTAMP(3) NOT NULL,
+    "sendAt" TIMESTAMP(3) NOT NULL,
+    "status" "public"."ReviewRequestStatus" NOT NULL DEFAULT 'SCHEDULED',
+    "skipReason" TEXT,
+    "sentAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ReviewRequest_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."EmailUnsubscribe" (
+    "id" TEXT NOT NULL,
+    "email" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "EmailUnsubscribe_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."EmailLog" (
+    "id" TEXT NOT NULL,
+    "reviewRequestId" TEXT,
+    "template" TEXT NOT NULL,
+    "to" TEXT NOT NULL,
+    "subject" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "messageId" TEXT,
+    "error" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "EmailLog_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Review_reviewRequestId_shopifyProductId_key" ON "public"."Review"("reviewRequestId", "shopifyProductId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ReviewRequest_shopifyOrderId_key" ON "public"."ReviewRequest"("shopifyOrderId");
+
+-- CreateIndex
+CREATE INDEX "ReviewRequest_email_idx" ON "public"."ReviewRequest"("email");
+
+-- CreateIndex
+CREATE INDEX "ReviewRequest_status_sendAt_idx" ON "public"."ReviewRequest"("status", "sendAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "EmailUnsubscribe_email_key" ON "public"."EmailUnsubscribe"("email");
+
+-- CreateIndex
+CREATE INDEX "EmailLog_reviewRequestId_idx" ON "public"."EmailLog"("reviewRequestId");
+
+-- AddForeignKey
+ALTER TABLE "public"."EmailLog" ADD CONSTRAINT "EmailLog_reviewRequestId_fkey" FOREIGN KEY ("reviewRequestId") REFERENCES "public"."ReviewRequest"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,15 @@
+-- CreateTable
+CREATE TABLE "public"."WebhookDelivery" (
+    "id" TEXT NOT NULL,
+    "webhookId" TEXT NOT NULL,
+    "topic" TEXT NOT NULL,
+    "shopDomain" TEXT,
+    "payload" JSONB NOT NULL,
+    "processedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "WebhookDelivery_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "WebhookDelivery_webhookId_key" ON "public"."WebhookDelivery"("webhookId");
@@ -0,0 +1,14 @@
+-- CreateTable
+CREATE TABLE "public"."PrivacyRequest" (
+    "id" TEXT NOT NULL,
+    "topic" TEXT NOT NULL,
+    "shopifyCustomerId" TEXT,
+    "dataRequestId" TEXT,
+    "result" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PrivacyRequest_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "PrivacyRequest_createdAt_idx" ON "public"."PrivacyRequest"("createdAt");
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "public"."Review" ADD COLUMN     "importExternalId" TEXT,
+ADD COLUMN     "importSource" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Review_importSource_importExternalId_key" ON "public"."Review"("importSource", "importExternalId");
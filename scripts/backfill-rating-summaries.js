@@ -0,0 +1,48 @@
+/**
+ * Recompute and write the rating metafields (reviews.rating,
+ * reviews.rating_count, custom.review_summary) of every product that has a
+ * custom.ratings list.
+ *
+ * Usage: npm run backfill:rating-summaries
+ */
+const prisma = require("../src/services/prismaService");
+const shopifyService = require("../src/services/shopifyService");
+const ratingSummaryService = require("../src/services/ratingSummaryService");
+
+async function main() {
+  let after = null;
+  let updated = 0;
+  let failed = 0;
+
+  do {
+    const page = await shopifyService.getProductsWithRatings(100, after);
+
+    for (const { node } of page.edges) {
+      if (!node.metafield) {
+        continue;
+      }
+      try {
+        await ratingSummaryService.refreshProduct(node.legacyResourceId);
+        updated++;
+      } catch (error) {
+        console.error(
+          `Failed to update product ${node.legacyResourceId}:`,
+          error.message
+        );
+        failed++;
+      }
+    }
+
+    after = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+  } while (after);
+
+  console.log(`Updated ${updated} products, ${failed} failed`);
+  process.exitCode = failed > 0 ? 1 : 0;
+}
+
+main()
+  .catch((error) => {
+    console.error("Backfill failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,62 @@
+/**
+ * Import reviews from another review app's CSV export (Judge.me, Yotpo or
+ * Shopify Product Reviews). Already imported rows are skipped, so the import
+ * can be run again after fixing failed rows.
+ *
+ * Usage: npm run import:reviews -- <file.csv> [--format judgeme] [--dry-run]
+ */
+const fs = require("fs");
+const prisma = require("../src/services/prismaService");
+const importService = require("../src/services/importService");
+
+function option(name) {
+  const index = process.argv.indexOf(name);
+  return index === -1 ? undefined : process.argv[index + 1];
+}
+
+async function main() {
+  const file = process.argv
+    .slice(2)
+    .find(
+      (arg, index, args) =>
+        !arg.startsWith("--") && args[index - 1] !== "--format"
+    );
+  if (!file) {
+    console.error(
+      "Usage: npm run import:reviews -- <file.csv> [--format judgeme|yotpo|shopify] [--dry-run]"
+    );
+    process.exitCode = 1;
+    return;
+  }
+
+  const report = await importService.importCsv(fs.readFileSync(file), {
+    format: option("--format"),
+    dryRun: process.argv.includes("--dry-run"),
+  });
+
+  report.rows
+    .filter((row) => row.status === "failed" || row.warnings)
+    .forEach((row) => {
+      [...(row.errors || []), ...(row.warnings || [])].forEach((message) =>
+        console.log(`Row ${row.row} (${row.status}): ${message}`)
+      );
+    });
+
+  const valid = report.rows.filter((row) => row.status === "valid").length;
+  console.log(
+    `${report.totalRows} ${report.format} rows: ${
+      report.dryRun ? `${valid} valid (dry run)` : `${report.created} created`
+    }, ${report.skipped} skipped, ${report.failed} failed`
+  );
+
+  if (report.failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error("Importing reviews failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,43 @@
+/**
+ * Schedule review request emails for orders fulfilled in the last few days.
+ * Meant to run from cron, e.g. hourly; orders already scheduled are skipped.
+ *
+ * Usage: npm run poll:fulfilled-orders [-- --days 3]
+ */
+const prisma = require("../src/services/prismaService");
+const reviewRequestService = require("../src/services/reviewRequestService");
+const config = require("../src/config");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function lookbackDays() {
+  const index = process.argv.indexOf("--days");
+  const days = index === -1 ? NaN : parseInt(process.argv[index + 1], 10);
+  return days > 0 ? days : config.reviewRequests.pollLookbackDays;
+}
+
+async function main() {
+  if (!reviewRequestService.isConfigured()) {
+    console.error(
+      "Review requests are disabled or not configured (see REVIEW_REQUESTS_ENABLED)"
+    );
+    process.exitCode = 1;
+    return;
+  }
+
+  const since = new Date(Date.now() - lookbackDays() * DAY_MS);
+  const { checked, scheduled } = await reviewRequestService.pollFulfilledOrders(
+    since
+  );
+
+  console.log(
+    `Checked ${checked} fulfilled orders since ${since.toISOString()}, ${scheduled} review requests scheduled`
+  );
+}
+
+main()
+  .catch((error) => {
+    console.error("Polling fulfilled orders failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,23 @@
+/**
+ * Reconcile the database, product_rating metaobjects and product metafields.
+ *
+ * Usage: npm run reconcile [-- --repair]
+ */
+const prisma = require("../src/services/prismaService");
+const reconcileService = require("../src/services/reconcileService");
+
+async function main() {
+  const repair = process.argv.includes("--repair");
+  const report = await reconcileService.run({ repair });
+  console.log(JSON.stringify(report, null, 2));
+
+  const failedRepairs = report.repairs.filter((r) => !r.success).length;
+  process.exitCode = failedRepairs > 0 ? 1 : 0;
+}
+
+main()
+  .catch((error) => {
+    console.error("Reconciliation failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -1,5 +1,6 @@
 const express = require("express");
 const cors = require("cors");
+const cookieParser = require("cookie-parser");
 const helmet = require("helmet");
 const compression = require("compression");
 const morgan = require("morgan");
@@ -7,9 +8,17 @@ const path = require("path");
 
 const config = require("./config");
 const reviewRoutes = require("./routes/reviewRoutes");
+const authRoutes = require("./routes/authRoutes");
+const adminRoutes = require("./routes/adminRoutes");
+const reviewRequestRoutes = require("./routes/reviewRequestRoutes");
+const webhookRoutes = require("./routes/webhookRoutes");
+const syncWorker = require("./workers/syncWorker");
 
 const app = express();
 
+// Read the client IP from X-Forwarded-For when behind a proxy
+app.set("trust proxy", config.trustProxy);
+
 // Security middleware
 app.use(
   helmet({
@@ -33,9 +42,20 @@ app.use(compression());
 // Logging middleware
 app.use(morgan("combined"));
 
-// Body parsing middleware
-app.use(express.json({ limit: "10mb" }));
-app.use(express.urlencoded({ extended: true, limit: "10mb" }));
+// Shopify webhooks, before the body parsers: the signature is checked
+// against the raw body
+app.use("/webhooks", webhookRoutes);
+
+// Body parsing middleware. Media is sent as multipart/form-data, only the
+// review submission routes still take base64 media in JSON
+const base64JsonParser = express.json({ limit: config.upload.base64JsonLimit });
+app.post("/api/reviews", base64JsonParser);
+app.put("/api/reviews/mine", base64JsonParser);
+app.use(express.json({ limit: config.upload.jsonLimit }));
+app.use(express.urlencoded({ extended: true, limit: config.upload.jsonLimit }));
+
+// Cookie parsing (anonymous visitor token used to deduplicate review votes)
+app.use(cookieParser());
 
 // Static files (for serving uploaded files if needed)
 app.use("/uploads", express.static(path.join(__dirname, "../uploads")));
@@ -52,6 +72,9 @@ app.get("/health", (req, res) => {
 
 // API routes
 app.use("/api/reviews", reviewRoutes);
+app.use("/api/auth", authRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/review-requests", reviewRequestRoutes);
 
 // Root endpoint
 app.get("/", (req, res) => {
@@ -64,9 +87,25 @@ app.get("/", (req, res) => {
       createReview: "POST /api/reviews",
       getProductReviews: "GET /api/reviews/product/:productId",
       getReviewStats: "GET /api/reviews/stats/:productId",
+      getFitAdvice: "GET /api/reviews/fit-advice/:productId?usualSize=",
+      voteHelpful: "POST /api/reviews/:ratingId/helpful",
+      voteNotHelpful: "POST /api/reviews/:ratingId/not-helpful",
+      reportReview: "POST /api/reviews/:ratingId/report",
+      myReview: "GET|PUT|DELETE /api/reviews/mine (X-Review-Token)",
       getAllReviews: "GET /api/reviews",
       updateReview: "PUT /api/reviews/:ratingId",
       deleteReview: "DELETE /api/reviews/:ratingId",
+      replyToReview: "POST|PUT|DELETE /api/reviews/:ratingId/reply",
+      createAdminSession: "POST /api/auth/session",
+      listSyncJobs: "GET /api/admin/sync-jobs",
+      replaySyncJob: "POST /api/admin/sync-jobs/:jobId/replay",
+      listReviewRequests: "GET /api/admin/review-requests",
+      privacyRequests: "GET /api/admin/privacy-requests[/:requestId]",
+      importReviews: "POST /api/admin/imports",
+      reviewRequestPrefill:
+        "GET /api/review-requests/prefill (X-Review-Request-Token)",
+      unsubscribe: "GET|POST /api/review-requests/unsubscribe?token=",
+      shopifyWebhooks: "POST /webhooks/shopify",
     },
   });
 });
@@ -101,6 +140,11 @@ app.listen(PORT, () => {
   console.log(`📊 Health check: http://localhost:${PORT}/health`);
   console.log(`📝 API documentation: http://localhost:${PORT}/`);
   console.log(`🔗 CORS enabled for: ${config.cors.origin.join(", ")}`);
+
+  // Background sync of stored reviews to Shopify
+  if (config.sync.workerEnabled) {
+    syncWorker.start();
+  }
 });
 
 module.exports = app;
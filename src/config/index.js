@@ -1,27 +1,172 @@
 require("dotenv").config();
+const crypto = require("crypto");
+
+const screening = require("./screening");
+
+// ADMIN_API_KEYS="name:role:key,name:role:key"
+function parseAdminApiKeys(value) {
+  if (!value) {
+    return [];
+  }
+
+  return value
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [name, role, ...keyParts] = entry.split(":");
+      return { name, role, key: keyParts.join(":") };
+    })
+    .filter((entry) => entry.name && entry.role && entry.key);
+}
+
+// TRUST_PROXY: number of proxy hops in front of the app ("1" on Render or
+// Vercel), "true", or a list of trusted addresses; unset trusts none
+function parseTrustProxy(value) {
+  if (!value || value === "false") {
+    return false;
+  }
+  if (value === "true") {
+    return true;
+  }
+  return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+}
+
+const shopifyApiVersion = process.env.SHOPIFY_API_VERSION || "2024-07";
+const visitorSecret =
+  process.env.VISITOR_TOKEN_SECRET || process.env.ADMIN_SESSION_SECRET;
 
 const config = {
   port: process.env.PORT || 3001,
+  // Needed behind a proxy for req.ip to be the client's address (rate
+  // limits, IP blocklist, failed authentication logs)
+  trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
   shopify: {
     storeDomain: process.env.SHOPIFY_STORE_DOMAIN,
     adminApiAccessToken: process.env.SHOPIFY_ADMIN_API_ACCESS_TOKEN,
     apiKey: process.env.SHOPIFY_API_KEY,
     secretApiKey: process.env.SHOPIFY_SECRET_API_KEY,
-    apiVersion: "2024-01",
-    graphqlEndpoint: `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2024-01/graphql.json`,
+    // 2024-07 or later is required for compare-and-swap metafield writes (compareDigest)
+    apiVersion: shopifyApiVersion,
+    graphqlEndpoint: `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/${shopifyApiVersion}/graphql.json`,
+    ratingsUpdateMaxAttempts: 5, // compare-and-swap retries when custom.ratings changed concurrently
+    nodesBatchSize: 250, // metaobject IDs per nodes(ids:) query, the API maximum
+    nodesConcurrency: 3, // nodes(ids:) queries in flight at once
   },
   cors: {
     origin: process.env.CORS_ORIGIN
       ? process.env.CORS_ORIGIN.split(",")
       : ["http://localhost:3000"],
     credentials: true,
+    exposedHeaders: ["X-Visitor-Token"], // new visitor tokens, see middleware/visitor.js
+  },
+  cache: {
+    enabled: process.env.CACHE_ENABLED !== "false",
+    ttlSeconds: parseInt(process.env.CACHE_TTL_SECONDS, 10) || 300, // how long the server keeps a response
+    maxAgeSeconds: parseInt(process.env.CACHE_MAX_AGE_SECONDS, 10) || 30, // Cache-Control max-age for browsers and CDNs
+    maxEntries: 1000, // in-memory store size, least recently used entries are evicted first
   },
   rateLimit: {
     windowMs: 15 * 60 * 1000, // 15 minutes
     max: 100, // limit each IP to 100 requests per windowMs
   },
+  visitors: {
+    cookieName: "review_visitor",
+    cookieMaxAgeMs: 365 * 24 * 60 * 60 * 1000, // 1 year
+    // Visitor tokens are stored as HMACs, never in clear. Without a
+    // configured secret a random one is used, valid until the next restart
+    secret: visitorSecret || crypto.randomBytes(32).toString("hex"),
+  },
+  votes: {
+    mirrorDelayMs: 30 * 1000, // wait before copying vote counts to the metaobject, to batch bursts of votes
+    maxPerIpPerReview: 3, // votes on one review from the same IP, whatever visitor tokens they come with
+    rateLimit: {
+      windowMs: 15 * 60 * 1000, // 15 minutes
+      max: 30, // limit each IP to 30 votes per windowMs
+    },
+  },
+  reports: {
+    threshold: parseInt(process.env.REPORT_THRESHOLD, 10) || 3, // open reports, from as many different IPs, that send an approved review back to the moderation queue
+    autoRequeue: process.env.REPORT_AUTO_REQUEUE !== "false", // false only lists reported reviews for moderators, they stay published
+    rateLimit: {
+      windowMs: 60 * 60 * 1000, // 1 hour
+      max: 10, // limit each IP to 10 reports per windowMs
+    },
+  },
+  auth: {
+    roles: ["viewer", "moderator", "owner"], // ordered from least to most privileged
+    adminApiKeys: parseAdminApiKeys(process.env.ADMIN_API_KEYS),
+    sessionSecret: process.env.ADMIN_SESSION_SECRET,
+    sessionTtlSeconds: 8 * 60 * 60, // 8 hours
+    failedAttemptsLimit: {
+      windowMs: 15 * 60 * 1000, // 15 minutes
+      max: 10, // limit each IP to 10 failed admin authentications per windowMs
+    },
+  },
+  reviewEdit: {
+    secret: process.env.REVIEW_EDIT_SECRET || process.env.ADMIN_SESSION_SECRET,
+    tokenTtlSeconds:
+      (parseInt(process.env.REVIEW_EDIT_TOKEN_TTL_DAYS, 10) || 90) *
+      24 *
+      60 *
+      60, // how long the author can edit or delete their review
+    url: process.env.REVIEW_EDIT_URL, // storefront edit page, "{token}" is replaced with the token
+  },
+  reviewRequests: {
+    enabled: process.env.REVIEW_REQUESTS_ENABLED === "true",
+    delayDays: parseInt(process.env.REVIEW_REQUEST_DELAY_DAYS, 10) || 14, // days after fulfillment before the email goes out
+    maxLateDays: 7, // orders picked up later than this past their send date are skipped
+    tokenTtlDays: 60, // how long the review links in the email work
+    secret:
+      process.env.REVIEW_REQUEST_SECRET ||
+      process.env.REVIEW_EDIT_SECRET ||
+      process.env.ADMIN_SESSION_SECRET,
+    reviewUrl: process.env.REVIEW_REQUEST_URL, // storefront review form, "{productId}" and "{token}" are replaced
+    publicUrl: process.env.PUBLIC_URL || "http://localhost:3001", // this API as reached from emails (unsubscribe links)
+    pollLookbackDays: 3, // fulfilled orders updated this recently are picked up by poll-fulfilled-orders
+  },
+  mail: {
+    from: process.env.MAIL_FROM || "reviews@localhost",
+    shopName: process.env.SHOP_NAME || "our store",
+    // Defaults point at a local SMTP catcher (MailHog, Mailpit)
+    smtp: {
+      host: process.env.SMTP_HOST || "localhost",
+      port: parseInt(process.env.SMTP_PORT, 10) || 1025,
+      secure: process.env.SMTP_SECURE === "true",
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+    },
+  },
+  imports: {
+    jobSpacingMs: parseInt(process.env.IMPORT_JOB_SPACING_MS, 10) || 1000, // gap between the Shopify syncs of imported reviews
+    photoTimeoutMs: 15 * 1000, // give up downloading a remote photo after 15 seconds
+    maxFileSize: 20 * 1024 * 1024, // CSV uploaded to the admin endpoint, 20MB
+    maxRowsPerRequest: 500, // larger files time out over HTTP, they are imported with the import:reviews script
+  },
+  sync: {
+    workerEnabled: process.env.SYNC_WORKER_ENABLED !== "false",
+    pollIntervalMs: 5 * 1000, // check for due jobs every 5 seconds
+    batchSize: 10, // jobs processed per poll
+    maxAttempts: 8, // attempts before a job is moved to the dead-letter state
+    baseBackoffMs: 30 * 1000, // first retry after ~30 seconds, doubling each attempt
+    maxBackoffMs: 6 * 60 * 60 * 1000, // never wait more than 6 hours between retries
+    lockTimeoutMs: 10 * 60 * 1000, // jobs stuck in PROCESSING longer than this are retried
+    summaryDelayMs: 15 * 1000, // wait before rewriting a product's rating metafields, to batch bursts of changes
+    submitWaitMs: 3 * 1000, // how long a review submission waits for its Shopify sync before answering 202
+  },
+  screening,
   upload: {
     maxFileSize: 5 * 1024 * 1024, // 5MB
+    maxMediaItems: parseInt(process.env.UPLOAD_MAX_MEDIA_ITEMS, 10) || 6, // photos and videos per review
+    concurrency: 3, // media items uploaded to Shopify at the same time
+    jsonLimit: "100kb", // JSON and form bodies, media goes through multipart/form-data
+    base64JsonLimit: "7mb", // JSON review submissions with base64 media: one 5MB file once encoded
+    maxMediaAttempts: 3, // failed uploads of an item before it is given up on
+    images: {
+      maxDimension: parseInt(process.env.IMAGE_MAX_DIMENSION, 10) || 2048, // longest side in px after downscaling
+      thumbnailSize: parseInt(process.env.IMAGE_THUMBNAIL_SIZE, 10) || 400, // longest side of the thumbnail variant
+      quality: 82, // JPEG / WebP quality of re-encoded images
+    },
     allowedTypes: [
       "image/jpeg",
       "image/png",
@@ -40,4 +185,40 @@ if (!config.shopify.adminApiAccessToken) {
   throw new Error("SHOPIFY_ADMIN_API_ACCESS_TOKEN is required");
 }
 
+config.auth.adminApiKeys.forEach((entry) => {
+  if (!config.auth.roles.includes(entry.role)) {
+    throw new Error(
+      `ADMIN_API_KEYS entry "${entry.name}" has unknown role "${entry.role}"`
+    );
+  }
+});
+if (
+  config.reviewRequests.enabled &&
+  (!config.reviewRequests.secret || !config.reviewRequests.reviewUrl)
+) {
+  console.warn(
+    "⚠️  REVIEW_REQUEST_URL or a signing secret is missing, review request emails will not be scheduled"
+  );
+}
+if (!config.shopify.secretApiKey) {
+  console.warn(
+    "⚠️  No SHOPIFY_SECRET_API_KEY configured, Shopify webhooks will be rejected"
+  );
+}
+if (!visitorSecret) {
+  console.warn(
+    "⚠️  No VISITOR_TOKEN_SECRET or ADMIN_SESSION_SECRET configured, visitor tokens for votes and reports are reset on every restart"
+  );
+}
+if (!config.reviewEdit.secret) {
+  console.warn(
+    "⚠️  No REVIEW_EDIT_SECRET or ADMIN_SESSION_SECRET configured, authors will not get links to edit their reviews"
+  );
+}
+if (config.auth.adminApiKeys.length === 0 && !config.auth.sessionSecret) {
+  console.warn(
+    "⚠️  No ADMIN_API_KEYS or ADMIN_SESSION_SECRET configured, admin routes will reject every request"
+  );
+}
+
 module.exports = config;
@@ -0,0 +1,96 @@
+function parseList(value) {
+  return value
+    ? value
+        .split(",")
+        .map((entry) => entry.trim().toLowerCase())
+        .filter(Boolean)
+    : [];
+}
+
+// Unlike `parseInt(value) || fallback`, keeps 0 (hold or reject everything)
+function parseScore(value, fallback) {
+  const score = parseInt(value, 10);
+  return Number.isNaN(score) ? fallback : score;
+}
+
+// Automatic content screening applied to every submitted review.
+// Each matched rule adds its score; the total decides what happens next.
+const screening = {
+  holdScore: parseScore(process.env.SCREENING_HOLD_SCORE, 30), // at or above: wait for a moderator
+  rejectScore: parseScore(process.env.SCREENING_REJECT_SCORE, 70), // at or above: rejected automatically
+  // Approve reviews scoring below holdScore without a moderator
+  autoApproveClean: process.env.SCREENING_AUTO_APPROVE === "true",
+  rules: {
+    profanity: { score: 40 },
+    url: { score: 40 },
+    email: { score: 30 },
+    phone: { score: 30 },
+    allCaps: { score: 20, minLetters: 20, ratio: 0.7 },
+    repeatedCharacters: { score: 15, minRun: 5 },
+    blockedEmail: { score: 100 },
+    blockedIp: { score: 100 },
+  },
+  // Matched as whole words after lowercasing, removing accents and common
+  // character substitutions (0→o, 1→i, 3→e, 4→a, 5→s, @→a, $→s)
+  profanity: {
+    es: [
+      "mierda",
+      "puta",
+      "puto",
+      "putas",
+      "hijueputa",
+      "hijoputa",
+      "malparido",
+      "malparida",
+      "gonorrea",
+      "pendejo",
+      "pendeja",
+      "cabron",
+      "cabrona",
+      "carajo",
+      "cono",
+      "joder",
+      "jodido",
+      "gilipollas",
+      "imbecil",
+      "estupido",
+      "estupida",
+      "verga",
+      "culero",
+      "chingada",
+      "chingar",
+      "pinche",
+      "mamon",
+      "zorra",
+      "marica",
+    ],
+    en: [
+      "fuck",
+      "fucking",
+      "fucked",
+      "motherfucker",
+      "shit",
+      "shitty",
+      "bullshit",
+      "bitch",
+      "asshole",
+      "bastard",
+      "cunt",
+      "dick",
+      "dickhead",
+      "whore",
+      "slut",
+      "wtf",
+      "stfu",
+    ],
+    // Extra words, comma separated
+    extra: parseList(process.env.SCREENING_EXTRA_PROFANITY),
+  },
+  blocklist: {
+    // Exact addresses, or "@domain.com" to block a whole domain
+    emails: parseList(process.env.SCREENING_BLOCKED_EMAILS),
+    ips: parseList(process.env.SCREENING_BLOCKED_IPS),
+  },
+};
+
+module.exports = screening;
@@ -0,0 +1,29 @@
+// sizeFit scale: 1–2 runs small, 3 true to size, 4–5 runs large. It is a
+// separate field from fitRating, the 1–5 star rating of the fit that reviews
+// have always carried, which says nothing about the direction
+const FIT_CATEGORIES = ["runs_small", "true_to_size", "runs_large"];
+
+// Labels shown for each sizeFit value on the review form
+const SIZE_FIT_LABELS = {
+  1: "Runs very small",
+  2: "Runs small",
+  3: "True to size",
+  4: "Runs large",
+  5: "Runs very large",
+};
+
+function fitCategory(sizeFit) {
+  if (sizeFit == null) {
+    return null;
+  }
+  if (sizeFit < 3) {
+    return "runs_small";
+  }
+  return sizeFit === 3 ? "true_to_size" : "runs_large";
+}
+
+module.exports = {
+  FIT_CATEGORIES,
+  SIZE_FIT_LABELS,
+  fitCategory,
+};
@@ -0,0 +1,35 @@
+const MODERATION_STATUSES = ["PENDING", "APPROVED", "REJECTED", "SPAM"];
+
+// Codes a moderator picks from when rejecting a review
+const REJECTION_REASONS = [
+  "inappropriate_language",
+  "off_topic",
+  "not_about_product",
+  "personal_information",
+  "advertising",
+  "duplicate",
+  "other",
+];
+
+// Codes a shopper picks from when reporting a review
+const REPORT_REASONS = ["offensive", "spam", "wrong_product", "private_info"];
+
+// Allowed moderation transitions. Spam has to be reopened before it can be
+// approved, so a flagged review always gets a second look.
+const MODERATION_TRANSITIONS = {
+  PENDING: ["APPROVED", "REJECTED", "SPAM"],
+  APPROVED: ["PENDING", "REJECTED", "SPAM"],
+  REJECTED: ["PENDING", "APPROVED", "SPAM"],
+  SPAM: ["PENDING", "REJECTED"],
+};
+
+// Merchant replies are either published (approved) or kept as a draft (pending)
+const REPLY_STATUSES = ["PENDING", "APPROVED"];
+
+module.exports = {
+  MODERATION_STATUSES,
+  REPLY_STATUSES,
+  REJECTION_REASONS,
+  REPORT_REASONS,
+  MODERATION_TRANSITIONS,
+};
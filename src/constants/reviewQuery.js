@@ -0,0 +1,20 @@
+// Sort orders accepted by GET /api/reviews/product/:productId
+const REVIEW_SORTS = [
+  "newest",
+  "oldest",
+  "highest",
+  "lowest",
+  "most_helpful",
+  "media_first",
+];
+
+const DEFAULT_REVIEW_SORT = "newest";
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+
+module.exports = {
+  REVIEW_SORTS,
+  DEFAULT_REVIEW_SORT,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+};
@@ -0,0 +1,348 @@
+const Joi = require("joi");
+const config = require("../config");
+const syncJobService = require("../services/syncJobService");
+const reconcileService = require("../services/reconcileService");
+const reviewRequestService = require("../services/reviewRequestService");
+const privacyService = require("../services/privacyService");
+const importService = require("../services/importService");
+const { IMPORT_FORMATS } = require("../utils/reviewCsv");
+
+const listSyncJobsSchema = Joi.object({
+  status: Joi.string()
+    .uppercase()
+    .valid("PENDING", "PROCESSING", "COMPLETED", "FAILED", "DEAD")
+    .optional(),
+  type: Joi.string().max(100).optional(),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+});
+
+const listReviewRequestsSchema = Joi.object({
+  status: Joi.string()
+    .uppercase()
+    .valid("SCHEDULED", "SENT", "SKIPPED")
+    .optional(),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+});
+
+const listPrivacyRequestsSchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(200).default(50),
+});
+
+const importReviewsSchema = Joi.object({
+  format: Joi.string()
+    .lowercase()
+    .valid(...IMPORT_FORMATS)
+    .optional(), // detected from the CSV columns when omitted
+  dryRun: Joi.boolean().default(false),
+});
+
+class AdminController {
+  /**
+   * List outbox sync jobs, most recently updated first
+   */
+  async listSyncJobs(req, res) {
+    try {
+      const { error, value } = listSyncJobsSchema.validate(req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: error.details.map((detail) => detail.message),
+        });
+      }
+
+      const jobs = await syncJobService.listJobs(value);
+
+      res.json({
+        success: true,
+        data: jobs,
+      });
+    } catch (error) {
+      console.error("Error listing sync jobs:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to list sync jobs",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Get a single sync job, including its last error
+   */
+  async getSyncJob(req, res) {
+    try {
+      const job = await syncJobService.getJob(req.params.jobId);
+
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          message: "Sync job not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        data: job,
+      });
+    } catch (error) {
+      console.error("Error fetching sync job:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch sync job",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Requeue a failed or dead-lettered sync job
+   */
+  async replaySyncJob(req, res) {
+    try {
+      const job = await syncJobService.replay(req.params.jobId);
+
+      if (!job) {
+        return res.status(409).json({
+          success: false,
+          message: "Only failed or dead sync jobs can be replayed",
+        });
+      }
+
+      console.log(
+        `[Admin] ${req.admin.name} replayed ${job.type} job ${job.id}`
+      );
+
+      res.json({
+        success: true,
+        message: "Sync job queued for replay",
+        data: job,
+      });
+    } catch (error) {
+      console.error("Error replaying sync job:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to replay sync job",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Requeue every dead-lettered sync job
+   */
+  async replayDeadSyncJobs(req, res) {
+    try {
+      const count = await syncJobService.replayAllDead();
+
+      console.log(`[Admin] ${req.admin.name} replayed ${count} dead job(s)`);
+
+      res.json({
+        success: true,
+        message: `Queued ${count} dead sync jobs for replay`,
+        data: { replayed: count },
+      });
+    } catch (error) {
+      console.error("Error replaying dead sync jobs:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to replay dead sync jobs",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Report drift between the database, product_rating metaobjects and product metafields
+   */
+  async getReconcileReport(req, res) {
+    try {
+      const report = await reconcileService.run({ repair: false });
+
+      res.json({
+        success: true,
+        data: report,
+      });
+    } catch (error) {
+      console.error("Error running reconciliation:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to run reconciliation",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Report drift and repair it
+   */
+  async repairReconcile(req, res) {
+    try {
+      console.log(`[Admin] ${req.admin.name} started a reconciliation repair`);
+      const report = await reconcileService.run({ repair: true });
+      const failed = report.repairs.filter((r) => !r.success).length;
+
+      res.json({
+        success: true,
+        message: `Applied ${
+          report.repairs.length - failed
+        } repairs, ${failed} failed`,
+        data: report,
+      });
+    } catch (error) {
+      console.error("Error running reconciliation repair:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to run reconciliation repair",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * List review request emails with their send logs, newest first
+   */
+  async listReviewRequests(req, res) {
+    try {
+      const { error, value } = listReviewRequestsSchema.validate(req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: error.details.map((detail) => detail.message),
+        });
+      }
+
+      const requests = await reviewRequestService.listRequests(value);
+
+      res.json({
+        success: true,
+        data: requests,
+      });
+    } catch (error) {
+      console.error("Error listing review requests:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to list review requests",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * List privacy requests received through Shopify's privacy webhooks
+   */
+  async listPrivacyRequests(req, res) {
+    try {
+      const { error, value } = listPrivacyRequestsSchema.validate(req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: error.details.map((detail) => detail.message),
+        });
+      }
+
+      const requests = await privacyService.listRequests(value);
+
+      res.json({
+        success: true,
+        data: requests,
+      });
+    } catch (error) {
+      console.error("Error listing privacy requests:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to list privacy requests",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Get a privacy request with its result: the customer's exported data, or
+   * what was erased
+   */
+  async getPrivacyRequest(req, res) {
+    try {
+      const request = await privacyService.getRequest(req.params.requestId);
+
+      if (!request) {
+        return res.status(404).json({
+          success: false,
+          message: "Privacy request not found",
+        });
+      }
+
+      console.log(
+        `[Admin] ${req.admin.name} opened ${request.topic} request ${request.id}`
+      );
+
+      res.json({
+        success: true,
+        data: request,
+      });
+    } catch (error) {
+      console.error("Error fetching privacy request:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch privacy request",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Import reviews from another review app's CSV export. With dryRun the
+   * rows are only checked; the report lists the outcome of every row. The
+   * whole import runs within the request, so large exports go through the
+   * import:reviews script instead (see config.imports.maxRowsPerRequest).
+   */
+  async importReviews(req, res) {
+    try {
+      const { error, value } = importReviewsSchema.validate({
+        ...req.body,
+        ...req.query,
+      });
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: error.details.map((detail) => detail.message),
+        });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'Send the CSV export as the multipart "file" field',
+        });
+      }
+
+      console.log(
+        `[Admin] ${req.admin.name} ${value.dryRun ? "checking" : "importing"} ${
+          req.file.originalname
+        }`
+      );
+
+      const report = await importService.importCsv(req.file.buffer, {
+        ...value,
+        maxRows: config.imports.maxRowsPerRequest,
+      });
+
+      res.status(value.dryRun ? 200 : 201).json({
+        success: true,
+        data: report,
+      });
+    } catch (error) {
+      console.error("Error importing reviews:", error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: "Failed to import reviews",
+        error: error.message,
+      });
+    }
+  }
+}
+
+module.exports = new AdminController();
@@ -0,0 +1,75 @@
+const Joi = require("joi");
+const config = require("../config");
+const { ROLES, hasRole } = require("../middleware/auth");
+const { signToken } = require("../utils/signedToken");
+
+const createSessionSchema = Joi.object({
+  role: Joi.string()
+    .valid(...ROLES)
+    .optional(),
+});
+
+class AuthController {
+  /**
+   * Exchange an admin API key for a short-lived signed session token
+   */
+  async createSession(req, res) {
+    try {
+      if (req.admin.method !== "api_key") {
+        return res.status(403).json({
+          success: false,
+          message: "Session tokens can only be issued with an admin API key",
+        });
+      }
+
+      if (!config.auth.sessionSecret) {
+        return res.status(503).json({
+          success: false,
+          message: "Session tokens are not configured",
+        });
+      }
+
+      const { error, value } = createSessionSchema.validate(req.body || {});
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: error.details.map((detail) => detail.message),
+        });
+      }
+
+      // A session can be scoped down but never above the key's own role
+      const role = value.role || req.admin.role;
+      if (!hasRole(req.admin, role)) {
+        return res.status(403).json({
+          success: false,
+          message: `This API key cannot issue ${role} sessions`,
+        });
+      }
+
+      const token = signToken(
+        { typ: "admin_session", sub: req.admin.name, role },
+        config.auth.sessionSecret,
+        { expiresInSeconds: config.auth.sessionTtlSeconds }
+      );
+
+      res.status(201).json({
+        success: true,
+        data: {
+          token,
+          role,
+          expiresIn: config.auth.sessionTtlSeconds,
+        },
+      });
+    } catch (error) {
+      console.error("Error creating admin session:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to create session",
+        error: error.message,
+      });
+    }
+  }
+}
+
+module.exports = new AuthController();
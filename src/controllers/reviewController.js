@@ -1,47 +1,92 @@
 const shopifyService = require("../services/shopifyService");
+const reviewService = require("../services/reviewService");
+const moderationService = require("../services/moderationService");
+const syncJobService = require("../services/syncJobService");
+const screeningService = require("../services/screeningService");
+const imageProcessingService = require("../services/imageProcessingService");
+const syncWorker = require("../workers/syncWorker");
+const reviewQueryService = require("../services/reviewQueryService");
+const statsService = require("../services/statsService");
+const fitAdviceService = require("../services/fitAdviceService");
+const productChangeService = require("../services/productChangeService");
+const voteService = require("../services/voteService");
+const replyService = require("../services/replyService");
+const reportService = require("../services/reportService");
+const {
+  toPublicReview,
+  toAdminReply,
+  toAdminReview,
+  toReportedReview,
+} = require("../serializers/reviewSerializer");
+const {
+  MODERATION_STATUSES,
+  REPLY_STATUSES,
+  REJECTION_REASONS,
+  REPORT_REASONS,
+} = require("../constants/moderation");
+const {
+  REVIEW_SORTS,
+  DEFAULT_REVIEW_SORT,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+} = require("../constants/reviewQuery");
+const HttpError = require("../utils/httpError");
+const { toMediaFile } = require("../utils/mediaFile");
+const { createServerTiming } = require("../utils/serverTiming");
+const { issueEditToken } = require("../utils/reviewEditToken");
+const reviewRequestService = require("../services/reviewRequestService");
+const { createReviewSchema } = require("../validation/reviewSchemas");
+const config = require("../config");
 const Joi = require("joi");
 
-// Helper function to convert base64 to File object
-function convertBase64ToFile(base64Data, type, mimeType) {
+// Helper function to convert base64 to a media file, typed from its content
+// (kind null accepts either a photo or a video)
+function convertBase64ToFile(base64Data, kind, label) {
+  let buffer;
   try {
     // Remove data URL prefix if present
     const base64String = base64Data.replace(/^data:[^;]+;base64,/, "");
 
     // Convert base64 to buffer
-    const buffer = Buffer.from(base64String, "base64");
-
-    // Create a File-like object
-    const file = {
-      buffer: buffer,
-      size: buffer.length,
-      type: mimeType,
-      name: `${type}-${Date.now()}.${mimeType.split("/")[1]}`,
-      stream: () => require("stream").Readable.from(buffer),
-    };
-
-    return file;
+    buffer = Buffer.from(base64String, "base64");
   } catch (error) {
     console.error("Error converting base64 to file:", error);
-    throw new Error("Invalid file data");
+    throw new HttpError(400, "Invalid file data");
   }
+
+  // Throws 413 / 415 when the file is too large or not an allowed type
+  return toMediaFile(buffer, kind, label);
+}
+
+// Resolve with the promise's result, or with null once ms have passed
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(null), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
 }
 
 // Validation schemas
-const createReviewSchema = Joi.object({
-  productId: Joi.number().integer().positive().required(),
-  rating: Joi.number().integer().min(1).max(5).required(),
-  title: Joi.string().min(1).max(200).required(),
-  body: Joi.string().min(1).max(2000).required(),
-  authorName: Joi.string().min(1).max(100).required(),
-  authorEmail: Joi.string().email().required(),
-  isVerifiedBuyer: Joi.boolean().default(false),
-  ageRange: Joi.string().max(50).optional(),
-  sizePurchased: Joi.string().max(50).optional(),
-  fitRating: Joi.number().integer().min(1).max(5).required(),
-  shippingRating: Joi.number().integer().min(1).max(5).optional(),
+
+// Every field the author can change with their edit token; null clears an
+// optional field
+const editReviewSchema = Joi.object({
+  rating: Joi.number().integer().min(1).max(5).optional(),
+  title: Joi.string().min(1).max(200).optional(),
+  body: Joi.string().min(1).max(2000).optional(),
+  authorName: Joi.string().min(1).max(100).optional(),
+  ageRange: Joi.string().max(50).allow(null, "").optional(),
+  sizePurchased: Joi.string().max(50).allow(null, "").optional(),
+  fitRating: Joi.number().integer().min(1).max(5).optional(),
+  sizeFit: Joi.number().integer().min(1).max(5).allow(null).optional(),
+  shippingRating: Joi.number().integer().min(1).max(5).allow(null).optional(),
   recommendsProduct: Joi.boolean().optional(),
-  image: Joi.string().optional(), // Base64 encoded image
-  video: Joi.string().optional(), // Base64 encoded video
+  media: Joi.array()
+    .items(Joi.string())
+    .max(config.upload.maxMediaItems)
+    .optional(), // Base64 encoded photos and videos to add
+  removeMedia: Joi.array().items(Joi.string()).single().optional(), // IDs of media items to remove
 });
 
 const updateReviewSchema = Joi.object({
@@ -51,6 +96,204 @@ const updateReviewSchema = Joi.object({
   body: Joi.string().min(1).max(2000).optional(),
 });
 
+const moderateReviewSchema = Joi.object({
+  status: Joi.string()
+    .lowercase()
+    .valid(...MODERATION_STATUSES.map((status) => status.toLowerCase()))
+    .required(),
+  reason: Joi.string()
+    .valid(...REJECTION_REASONS)
+    .when("status", { is: "rejected", then: Joi.required() }),
+  note: Joi.string().max(500).optional(),
+});
+
+const replyStatus = Joi.string()
+  .lowercase()
+  .valid(...REPLY_STATUSES.map((status) => status.toLowerCase()));
+
+const createReplySchema = Joi.object({
+  body: Joi.string().trim().min(1).max(2000).required(),
+  authorName: Joi.string().trim().min(1).max(100).optional(), // defaults to the admin's name
+  status: replyStatus.default("approved"), // pending keeps the reply as a draft
+});
+
+const updateReplySchema = Joi.object({
+  body: Joi.string().trim().min(1).max(2000).optional(),
+  authorName: Joi.string().trim().min(1).max(100).optional(),
+  status: replyStatus.optional(),
+}).min(1);
+
+const reportReviewSchema = Joi.object({
+  reason: Joi.string()
+    .valid(...REPORT_REASONS)
+    .required(),
+  comment: Joi.string().trim().max(500).allow("").optional(),
+});
+
+const moderationQueueSchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(100).default(50),
+  cursor: Joi.string().optional(),
+});
+
+// Comma separated star values, e.g. "4,5"
+const STAR_LIST = /^[1-5](,[1-5])*$/;
+
+const productReviewsQuerySchema = Joi.object({
+  sort: Joi.string()
+    .valid(...REVIEW_SORTS)
+    .default(DEFAULT_REVIEW_SORT),
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(MAX_PAGE_SIZE)
+    .default(DEFAULT_PAGE_SIZE),
+  cursor: Joi.string().optional(),
+  rating: Joi.string().pattern(STAR_LIST).optional(),
+  verified: Joi.boolean().optional(),
+  hasMedia: Joi.boolean().optional(),
+  size: Joi.string().max(200).optional(), // comma separated, e.g. "30,31"
+  ageRange: Joi.string().max(200).optional(),
+  fitRating: Joi.string().pattern(STAR_LIST).optional(),
+});
+
+// "4,5" → [4, 5], "30, W30" → ["30", "w30"]; undefined stays undefined
+function parseList(value, parse) {
+  return value === undefined
+    ? undefined
+    : value
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean)
+        .map(parse);
+}
+
+const toNumber = (item) => parseInt(item, 10);
+const toLowerCase = (item) => item.toLowerCase();
+
+const fitAdviceQuerySchema = Joi.object({
+  usualSize: Joi.string().trim().min(1).max(50).required(),
+});
+
+const MODERATION_MESSAGES = {
+  approved: "Review approved",
+  rejected: "Review rejected",
+  spam: "Review marked as spam",
+  pending: "Review returned to the moderation queue",
+};
+
+// Attempt a queued Shopify sync now; the worker retries it if this fails
+async function runSyncJob(job) {
+  if (!job) {
+    return null;
+  }
+  const result = await syncWorker.runNow(job.id);
+  return result.status.toLowerCase();
+}
+
+// Answer a moderation request once its Shopify update has been attempted
+async function moderationResponse(res, message, { review, job, metaobject }) {
+  const syncStatus = await runSyncJob(job);
+
+  res.json({
+    success: true,
+    message,
+    data: review ? { ...toAdminReview(review), syncStatus } : metaobject,
+  });
+}
+
+// Answer a reply request once its Shopify update has been attempted
+async function replyResponse(res, message, { reply, job }) {
+  const syncStatus = await runSyncJob(job);
+
+  res.json({
+    success: true,
+    message,
+    data: { ...(reply && toAdminReply(reply)), syncStatus },
+  });
+}
+
+// Upload outcome of one media item, as reported to the submitter
+function toMediaStatus(media) {
+  return {
+    id: media.id,
+    kind: media.kind,
+    mimeType: media.mimeType,
+    position: media.position,
+    // pending: not uploaded yet (or failed and will be retried)
+    status: media.uploadStatus.toLowerCase(),
+    fileId: media.fileId,
+    thumbnailFileId: media.thumbnailFileId,
+    error: media.uploadError,
+  };
+}
+
+// Record a visitor's vote and answer with the review's updated counts
+async function recordVote(req, res, value) {
+  try {
+    const { review, vote, changed } = await voteService.vote(
+      req.params.ratingId,
+      req.visitor,
+      value
+    );
+
+    res.json({
+      success: true,
+      message: changed ? "Vote recorded" : "Vote already recorded",
+      data: {
+        reviewId: review.shopifyMetaobjectId || review.id,
+        vote: vote.toLowerCase(),
+        helpfulCount: review.helpfulCount,
+        notHelpfulCount: review.notHelpfulCount,
+      },
+    });
+  } catch (error) {
+    console.error("Error recording review vote:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: "Failed to record vote",
+      error: error.message,
+    });
+  }
+}
+
+// A review as shown to its author through their edit token
+function toOwnReview(review) {
+  return {
+    reviewId: review.id,
+    ratingId: review.shopifyMetaobjectId,
+    productId: review.shopifyProductId.toString(),
+    rating: review.rating,
+    title: review.title,
+    body: review.body,
+    authorName: review.authorName,
+    ageRange: review.ageRange,
+    sizePurchased: review.sizePurchased,
+    fitRating: review.fitRating,
+    sizeFit: review.sizeFit,
+    shippingRating: review.shippingRating,
+    recommendsProduct: review.recommendsProduct,
+    isVerifiedBuyer: review.isVerifiedBuyer,
+    // Rejections are reported as pending, like at creation
+    status:
+      review.moderationStatus === "APPROVED" ? "approved" : "pending_approval",
+    media: review.media.map(toMediaStatus),
+    createdAt: review.createdAt,
+    editedAt: review.editedAt,
+  };
+}
+
+// Load the review an edit token was issued for, answering 404 once it is gone
+async function findOwnReview(req, res) {
+  const review = await reviewService.getReviewWithMedia(req.editReviewId);
+  if (!review) {
+    res.status(404).json({
+      success: false,
+      message: "Review not found",
+    });
+  }
+  return review;
+}
+
 class ReviewController {
   /**
    * Create a new product review
@@ -67,64 +310,118 @@ class ReviewController {
         });
       }
 
-      // Process file uploads - convert base64 to File objects
-      if (value.image) {
-        console.log("[createReview] Incoming image payload detected (base64 length):", value.image.length);
-        value.image = convertBase64ToFile(value.image, "image", "image/jpeg");
-        console.log("[createReview] Image file prepared:", {
-          name: value.image.name,
-          sizeBytes: value.image.size,
-          mimeType: value.image.type,
-        });
+      // Multipart uploads were already parsed and typed by parseReviewUpload,
+      // base64 JSON uploads are converted here
+      const mediaFiles = [...(req.mediaFiles || [])];
+      const { image, video, media = [], requestToken, ...reviewData } = value;
+
+      // Reviews written from a review request email come from a known buyer
+      if (requestToken) {
+        const purchase = await reviewRequestService.verifyPurchase(
+          requestToken,
+          reviewData.productId
+        );
+        reviewData.authorEmail = purchase.email;
+        reviewData.verifiedOrderId = purchase.orderId;
+        reviewData.reviewRequestId = purchase.requestId;
       }
 
-      if (value.video) {
-        console.log("[createReview] Incoming video payload detected (base64 length):", value.video.length);
-        value.video = convertBase64ToFile(value.video, "video", "video/mp4");
-        console.log("[createReview] Video file prepared:", {
-          name: value.video.name,
-          sizeBytes: value.video.size,
-          mimeType: value.video.type,
-        });
+      if (image) {
+        console.log("[createReview] Incoming image payload detected (base64 length):", image.length);
+        mediaFiles.push(convertBase64ToFile(image, "image"));
+      }
+
+      if (video) {
+        console.log("[createReview] Incoming video payload detected (base64 length):", video.length);
+        mediaFiles.push(convertBase64ToFile(video, "video"));
       }
 
-      // Create the metaobject
-      const ratingMetaobject = await shopifyService.createProductRating(value);
-      console.log("[createReview] Metaobject created:", {
-        id: ratingMetaobject.id,
-        handle: ratingMetaobject.handle,
-        type: ratingMetaobject.type,
-        fields: ratingMetaobject.fields,
+      media.forEach((item, index) => {
+        mediaFiles.push(convertBase64ToFile(item, null, `media[${index}]`));
       });
 
-      // Link the rating to the product
-      await shopifyService.linkRatingToProduct(
-        value.productId,
-        ratingMetaobject.id
+      if (mediaFiles.length > config.upload.maxMediaItems) {
+        return res.status(413).json({
+          success: false,
+          message: `A review can have at most ${config.upload.maxMediaItems} photos and videos`,
+        });
+      }
+
+      // Strip metadata, fix orientation and downscale photos before they are stored
+      const processedFiles = await imageProcessingService.processMediaFiles(
+        mediaFiles
       );
 
-      // Extract uploaded file IDs (if present in fields)
-      const fieldMap = {};
-      try {
-        ratingMetaobject.fields.forEach((f) => {
-          fieldMap[f.key] = f.value;
+      processedFiles.forEach((file) => {
+        console.log("[createReview] Media file prepared:", {
+          name: file.name,
+          sizeBytes: file.size,
+          mimeType: file.type,
         });
-      } catch (_) {}
+      });
+
+      // Screen the content before anything is stored or sent to Shopify
+      const screening = screeningService.screen(reviewData, { ip: req.ip });
+      if (screening.matchedRules.length > 0) {
+        console.log("[createReview] Screening matched rules:", {
+          score: screening.score,
+          decision: screening.decision,
+          rules: screening.matchedRules.map((match) => match.rule),
+        });
+      }
+
+      // Persist the review, its media and the Shopify sync job first so a
+      // Shopify outage never loses it
+      const { review, job } = await reviewService.createReview(
+        reviewData,
+        processedFiles,
+        screening
+      );
+      console.log("[createReview] Review saved to database:", review.id);
 
-      res.status(201).json({
+      // Try the sync right away, but answer once submitWaitMs is up; a slow
+      // or failed sync carries on in the background and the worker retries it
+      const sync = syncWorker.runNow(job.id).catch((error) => {
+        console.error(`[createReview] Sync of review ${review.id} failed:`, error);
+        return null;
+      });
+      const syncedJob = await withTimeout(sync, config.sync.submitWaitMs);
+      const synced = await reviewService.getReviewWithMedia(review.id);
+      const completed = Boolean(syncedJob) && syncedJob.status === "COMPLETED";
+
+      let status = "pending_sync";
+      if (completed) {
+        // Auto-rejected reviews are reported as pending so spammers learn nothing
+        status =
+          synced.moderationStatus === "APPROVED"
+            ? "approved"
+            : "pending_approval";
+      }
+
+      // Lets the author edit or delete the review later, see /api/reviews/mine
+      const editToken = issueEditToken(review.id);
+
+      // Shopify IDs stay null until the sync has finished
+      res.status(completed ? 201 : 202).json({
         success: true,
-        message: "Review created successfully",
+        message: completed
+          ? "Review created successfully"
+          : "Review received and will be published once processed",
         data: {
-          ratingId: ratingMetaobject.id,
+          reviewId: review.id,
+          ratingId: synced.shopifyMetaobjectId,
           productId: value.productId,
-          status: "pending_approval",
-          imageFileId: fieldMap.image || null,
-          videoFileId: fieldMap.video || null,
+          status,
+          imageFileId: synced.imageFileId,
+          videoFileId: synced.videoFileId,
+          mediaFileIds: synced.mediaFileIds,
+          media: synced.media.map(toMediaStatus),
+          edit: editToken,
         },
       });
     } catch (error) {
       console.error("Error creating review:", error);
-      res.status(500).json({
+      res.status(error.status || 500).json({
         success: false,
         message: "Failed to create review",
         error: error.message,
@@ -132,6 +429,168 @@ class ReviewController {
     }
   }
 
+  /**
+   * Get the review an edit token was issued for
+   */
+  async getMyReview(req, res) {
+    try {
+      const review = await findOwnReview(req, res);
+      if (!review) {
+        return;
+      }
+
+      res.json({
+        success: true,
+        data: toOwnReview(review),
+      });
+    } catch (error) {
+      console.error("Error fetching own review:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch review",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Edit a review with its author's edit token. The edit is screened again
+   * and sends the review back to moderation.
+   */
+  async updateMyReview(req, res) {
+    try {
+      const { error, value } = editReviewSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: error.details.map((detail) => detail.message),
+        });
+      }
+
+      const review = await findOwnReview(req, res);
+      if (!review) {
+        return;
+      }
+      if (review.moderationStatus === "SPAM") {
+        return res.status(403).json({
+          success: false,
+          message: "This review can no longer be edited",
+        });
+      }
+
+      const { media = [], removeMedia = [], ...fields } = value;
+      const changes = {};
+      Object.keys(fields).forEach((key) => {
+        changes[key] = fields[key] === "" ? null : fields[key];
+      });
+
+      const unknownMedia = removeMedia.filter(
+        (id) => !review.media.some((item) => item.id === id)
+      );
+      if (unknownMedia.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown media: ${unknownMedia.join(", ")}`,
+        });
+      }
+
+      const mediaFiles = [
+        ...(req.mediaFiles || []),
+        ...media.map((item, index) =>
+          convertBase64ToFile(item, null, `media[${index}]`)
+        ),
+      ];
+
+      if (
+        Object.keys(changes).length === 0 &&
+        mediaFiles.length === 0 &&
+        removeMedia.length === 0
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "Nothing to update",
+        });
+      }
+
+      const keptMedia = review.media.filter(
+        (item) =>
+          item.uploadStatus !== "FAILED" && !removeMedia.includes(item.id)
+      );
+      if (keptMedia.length + mediaFiles.length > config.upload.maxMediaItems) {
+        return res.status(413).json({
+          success: false,
+          message: `A review can have at most ${config.upload.maxMediaItems} photos and videos`,
+        });
+      }
+
+      const processedFiles = await imageProcessingService.processMediaFiles(
+        mediaFiles
+      );
+      const screening = screeningService.screen(
+        { ...review, ...changes },
+        { ip: req.ip }
+      );
+
+      const { job } = await reviewService.editReview(review, changes, {
+        addFiles: processedFiles,
+        removeMediaIds: removeMedia,
+        screening,
+      });
+      console.log(
+        `[updateMyReview] Review ${review.id} edited by its author (screening: ${screening.decision})`
+      );
+
+      const syncStatus = await runSyncJob(job);
+      const synced = await reviewService.getReviewWithMedia(review.id);
+
+      res.json({
+        success: true,
+        message: "Review updated, it will be published again once approved",
+        data: { ...toOwnReview(synced), syncStatus },
+      });
+    } catch (error) {
+      console.error("Error updating own review:", error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: "Failed to update review",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Delete a review with its author's edit token
+   */
+  async deleteMyReview(req, res) {
+    try {
+      const review = await findOwnReview(req, res);
+      if (!review) {
+        return;
+      }
+
+      const job = await reviewService.deleteReview(review);
+      console.log(`[deleteMyReview] Review ${review.id} deleted by its author`);
+      const syncStatus = await runSyncJob(job);
+
+      res.json({
+        success: true,
+        message: "Review deleted successfully",
+        data: {
+          deletedId: review.shopifyMetaobjectId || review.id,
+          syncStatus,
+        },
+      });
+    } catch (error) {
+      console.error("Error deleting own review:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to delete review",
+        error: error.message,
+      });
+    }
+  }
+
   /**
    * Get reviews for a specific product
    */
@@ -146,15 +605,48 @@ class ReviewController {
         });
       }
 
-      const reviews = await shopifyService.getProductReviews(productId);
+      const { error, value } = productReviewsQuerySchema.validate(req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: error.details.map((detail) => detail.message),
+        });
+      }
+
+      // Shopify fetch times are reported in the Server-Timing header
+      const timing = createServerTiming();
+      const reviews = await shopifyService.getProductReviews(productId, {
+        timing,
+      });
+      res.set("Server-Timing", timing.toHeader());
+
+      // The storefront only ever sees approved reviews
+      const { reviews: page, pagination } = reviewQueryService.query(
+        reviews.filter((review) => review.isApproved),
+        {
+          sort: value.sort,
+          limit: value.limit,
+          cursor: value.cursor,
+          filters: {
+            rating: parseList(value.rating, toNumber),
+            verified: value.verified,
+            hasMedia: value.hasMedia,
+            size: parseList(value.size, toLowerCase),
+            ageRange: parseList(value.ageRange, toLowerCase),
+            fitRating: parseList(value.fitRating, toNumber),
+          },
+        }
+      );
 
       res.json({
         success: true,
-        data: reviews,
+        data: page.map(toPublicReview),
+        pagination,
       });
     } catch (error) {
       console.error("Error fetching product reviews:", error);
-      res.status(500).json({
+      res.status(error.status || 500).json({
         success: false,
         message: "Failed to fetch product reviews",
         error: error.message,
@@ -232,21 +724,205 @@ class ReviewController {
         });
       }
 
-      const updatedRating = await shopifyService.updateProductRating(
+      const { isApproved, ...changes } = value;
+      const review = await reviewService.findByRatingId(ratingId);
+
+      // Reviews created before the database existed are edited in Shopify only
+      if (!review) {
+        if (!ratingId.startsWith("gid://")) {
+          return res.status(404).json({
+            success: false,
+            message: "Review not found",
+          });
+        }
+
+        if (isApproved !== undefined) {
+          await moderationService.transition(
+            ratingId,
+            isApproved ? "APPROVED" : "PENDING",
+            { actor: req.admin.name }
+          );
+        }
+        const updatedRating = await shopifyService.updateProductRating(
+          ratingId,
+          changes
+        );
+        await productChangeService.metaobjectChanged(updatedRating);
+
+        return res.json({
+          success: true,
+          message: "Review updated successfully",
+          data: updatedRating,
+        });
+      }
+
+      let result = { review, job: null };
+      if (Object.keys(changes).length > 0) {
+        result = await reviewService.updateReview(review.id, changes);
+      }
+
+      // isApproved is kept for older clients: true approves, false sends the
+      // review back to the moderation queue
+      const targetStatus =
+        isApproved === undefined ? null : isApproved ? "APPROVED" : "PENDING";
+      if (targetStatus && targetStatus !== review.moderationStatus) {
+        result = await moderationService.transition(review.id, targetStatus, {
+          actor: req.admin.name,
+        });
+      }
+
+      await moderationResponse(res, "Review updated successfully", result);
+    } catch (error) {
+      console.error("Error updating review:", error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: "Failed to update review",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Move a review through the moderation workflow
+   */
+  async moderateReview(req, res) {
+    try {
+      const { ratingId } = req.params;
+
+      const { error, value } = moderateReviewSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: error.details.map((detail) => detail.message),
+        });
+      }
+
+      const result = await moderationService.transition(
         ratingId,
+        value.status.toUpperCase(),
+        { reason: value.reason, note: value.note, actor: req.admin.name }
+      );
+
+      await moderationResponse(res, MODERATION_MESSAGES[value.status], result);
+    } catch (error) {
+      console.error("Error moderating review:", error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: "Failed to moderate review",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * List reviews waiting for moderation, oldest first
+   */
+  async getModerationQueue(req, res) {
+    try {
+      const { error, value } = moderationQueueSchema.validate(req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: error.details.map((detail) => detail.message),
+        });
+      }
+
+      const { reviews, total, nextCursor } =
+        await reviewService.listByModerationStatus("PENDING", value);
+
+      res.json({
+        success: true,
+        data: {
+          reviews: reviews.map(toAdminReview),
+          pagination: {
+            total,
+            nextCursor,
+            hasNextPage: Boolean(nextCursor),
+          },
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching moderation queue:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch moderation queue",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * List reviews with open shopper reports, most reported first
+   */
+  async getReportedReviews(req, res) {
+    try {
+      const { error, value } = moderationQueueSchema.validate(req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: error.details.map((detail) => detail.message),
+        });
+      }
+
+      const { reviews, total, nextCursor } = await reportService.listReported(
         value
       );
 
       res.json({
         success: true,
-        message: "Review updated successfully",
-        data: updatedRating,
+        data: {
+          reviews: reviews.map(toReportedReview),
+          pagination: {
+            total,
+            nextCursor,
+            hasNextPage: Boolean(nextCursor),
+          },
+        },
       });
     } catch (error) {
-      console.error("Error updating review:", error);
+      console.error("Error fetching reported reviews:", error);
       res.status(500).json({
         success: false,
-        message: "Failed to update review",
+        message: "Failed to fetch reported reviews",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Report an inappropriate review (once per visitor)
+   */
+  async reportReview(req, res) {
+    try {
+      const { error, value } = reportReviewSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: error.details.map((detail) => detail.message),
+        });
+      }
+
+      const { created } = await reportService.report(
+        req.params.ratingId,
+        req.visitor,
+        value
+      );
+
+      res.json({
+        success: true,
+        message: created
+          ? "Thanks, the review has been reported"
+          : "Review already reported",
+      });
+    } catch (error) {
+      console.error("Error reporting review:", error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: "Failed to report review",
         error: error.message,
       });
     }
@@ -266,12 +942,42 @@ class ReviewController {
         });
       }
 
-      const deletedId = await shopifyService.deleteProductRating(ratingId);
+      const review = await reviewService.findByRatingId(ratingId);
+      let job;
+
+      if (review) {
+        job = await reviewService.deleteReview(review);
+      } else {
+        // Reviews created before the database existed
+        const metaobject = ratingId.startsWith("gid://")
+          ? await shopifyService.getMetaobjectById(ratingId)
+          : null;
+        if (!metaobject) {
+          return res.status(404).json({
+            success: false,
+            message: "Review not found",
+          });
+        }
+        job = await syncJobService.enqueue("review.delete", {
+          payload: {
+            metaobjectId: ratingId,
+            productId: metaobject.product_id,
+          },
+        });
+      }
+
+      console.log(`[deleteReview] ${req.admin.name} deleted review ${ratingId}`);
+      const syncStatus = await runSyncJob(job);
 
       res.json({
         success: true,
         message: "Review deleted successfully",
-        data: { deletedId },
+        data: {
+          deletedId: review
+            ? review.shopifyMetaobjectId || review.id
+            : ratingId,
+          syncStatus,
+        },
       });
     } catch (error) {
       console.error("Error deleting review:", error);
@@ -297,60 +1003,181 @@ class ReviewController {
         });
       }
 
-      const reviews = await shopifyService.getProductReviews(productId);
+      // Shopify fetch times are reported in the Server-Timing header
+      const timing = createServerTiming();
+      const reviews = await shopifyService.getProductReviews(productId, {
+        timing,
+      });
+      res.set("Server-Timing", timing.toHeader());
 
       // Filter only approved reviews
       const approvedReviews = reviews.filter((review) => review.isApproved);
 
-      // Calculate statistics
-      const totalReviews = approvedReviews.length;
-      const averageRating =
-        totalReviews > 0
-          ? approvedReviews.reduce((sum, review) => sum + review.rating, 0) /
-            totalReviews
-          : 0;
-
-      const ratingDistribution = {};
-      [1, 2, 3, 4, 5].forEach((rating) => {
-        ratingDistribution[rating] = approvedReviews.filter(
-          (review) => review.rating === rating
-        ).length;
+      res.json({
+        success: true,
+        data: {
+          productId: parseInt(productId),
+          ...statsService.computeReviewStats(approvedReviews),
+        },
       });
+    } catch (error) {
+      console.error("Error fetching review stats:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch review statistics",
+        error: error.message,
+      });
+    }
+  }
 
-      const verifiedBuyers = approvedReviews.filter(
-        (review) => review.isVerifiedBuyer
-      ).length;
-      const recommendations = approvedReviews.filter(
-        (review) => review.recommendsProduct
-      ).length;
+  /**
+   * Suggest a size to order from how the size fit approved reviewers
+   */
+  async getFitAdvice(req, res) {
+    try {
+      const { productId } = req.params;
+
+      if (!productId || isNaN(productId)) {
+        return res.status(400).json({
+          success: false,
+          message: "Valid product ID is required",
+        });
+      }
+
+      const { error, value } = fitAdviceQuerySchema.validate(req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: error.details.map((detail) => detail.message),
+        });
+      }
+
+      const timing = createServerTiming();
+      const reviews = await shopifyService.getProductReviews(productId, {
+        timing,
+      });
+      res.set("Server-Timing", timing.toHeader());
 
       res.json({
         success: true,
         data: {
           productId: parseInt(productId),
-          totalReviews,
-          averageRating: Math.round(averageRating * 10) / 10,
-          ratingDistribution,
-          verifiedBuyers,
-          recommendations,
-          recommendationRate:
-            totalReviews > 0
-              ? Math.round((recommendations / totalReviews) * 100)
-              : 0,
+          ...fitAdviceService.adviseSize(
+            reviews.filter((review) => review.isApproved),
+            value.usualSize
+          ),
         },
       });
     } catch (error) {
-      console.error("Error fetching review stats:", error);
+      console.error("Error computing fit advice:", error);
       res.status(500).json({
         success: false,
-        message: "Failed to fetch review statistics",
+        message: "Failed to compute fit advice",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Add the merchant's public reply to a review
+   */
+  async createReply(req, res) {
+    try {
+      const { error, value } = createReplySchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: error.details.map((detail) => detail.message),
+        });
+      }
+
+      const result = await replyService.createReply(
+        req.params.ratingId,
+        { ...value, status: value.status.toUpperCase() },
+        req.admin.name
+      );
+
+      await replyResponse(res, "Reply created", result);
+    } catch (error) {
+      console.error("Error creating reply:", error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: "Failed to create reply",
         error: error.message,
       });
     }
   }
 
   /**
-   * Publish a specific review (change from draft to active)
+   * Edit the merchant reply of a review
+   */
+  async updateReply(req, res) {
+    try {
+      const { error, value } = updateReplySchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: error.details.map((detail) => detail.message),
+        });
+      }
+
+      const result = await replyService.updateReply(
+        req.params.ratingId,
+        { ...value, status: value.status && value.status.toUpperCase() },
+        req.admin.name
+      );
+
+      await replyResponse(res, "Reply updated", result);
+    } catch (error) {
+      console.error("Error updating reply:", error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: "Failed to update reply",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Delete the merchant reply of a review
+   */
+  async deleteReply(req, res) {
+    try {
+      const result = await replyService.deleteReply(req.params.ratingId);
+      console.log(
+        `[Replies] ${req.admin.name} deleted the reply to review ${result.review.id}`
+      );
+
+      await replyResponse(res, "Reply deleted", result);
+    } catch (error) {
+      console.error("Error deleting reply:", error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: "Failed to delete reply",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Vote a review helpful (once per visitor)
+   */
+  async voteHelpful(req, res) {
+    await recordVote(req, res, "HELPFUL");
+  }
+
+  /**
+   * Vote a review not helpful (once per visitor)
+   */
+  async voteNotHelpful(req, res) {
+    await recordVote(req, res, "NOT_HELPFUL");
+  }
+
+  /**
+   * Publish a specific review (approve it, which makes the metaobject active)
    */
   async publishReview(req, res) {
     try {
@@ -363,16 +1190,14 @@ class ReviewController {
         });
       }
 
-      const publishedReview = await shopifyService.publishMetaobject(ratingId);
-
-      res.json({
-        success: true,
-        message: "Review published successfully",
-        data: publishedReview,
+      const result = await moderationService.transition(ratingId, "APPROVED", {
+        actor: req.admin.name,
       });
+
+      await moderationResponse(res, "Review published successfully", result);
     } catch (error) {
       console.error("Error publishing review:", error);
-      res.status(500).json({
+      res.status(error.status || 500).json({
         success: false,
         message: "Failed to publish review",
         error: error.message,
@@ -381,11 +1206,11 @@ class ReviewController {
   }
 
   /**
-   * Publish all draft reviews (change from draft to active)
+   * Publish all draft reviews (approve every review waiting for moderation)
    */
   async publishAllDraftReviews(req, res) {
     try {
-      const result = await shopifyService.publishAllDraftRatings();
+      const result = await moderationService.approveAllPending(req.admin.name);
 
       res.json({
         success: true,
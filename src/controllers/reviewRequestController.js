@@ -0,0 +1,70 @@
+const reviewRequestService = require("../services/reviewRequestService");
+const { readUnsubscribeToken } = require("../utils/reviewRequestToken");
+const {
+  renderUnsubscribeConfirmation,
+  renderUnsubscribed,
+  renderInvalidLink,
+} = require("../templates/unsubscribePage");
+
+class ReviewRequestController {
+  /**
+   * Customer and products behind a review request link, to pre-fill the
+   * review form
+   */
+  async getPrefill(req, res) {
+    try {
+      const prefill = await reviewRequestService.getPrefill(
+        req.get("X-Review-Request-Token")
+      );
+
+      res.json({
+        success: true,
+        data: prefill,
+      });
+    } catch (error) {
+      console.error("Error loading review request:", error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: "Failed to load review request",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Unsubscribe confirmation page, opened from the email link
+   */
+  async showUnsubscribe(req, res) {
+    const email = readUnsubscribeToken(req.query.token);
+    if (!email) {
+      return res.status(400).send(renderInvalidLink());
+    }
+
+    res.send(renderUnsubscribeConfirmation({ email, action: req.originalUrl }));
+  }
+
+  /**
+   * Unsubscribe from review request emails, from the confirmation page or a
+   * mail client's one-click unsubscribe (RFC 8058)
+   */
+  async unsubscribe(req, res) {
+    try {
+      const email = readUnsubscribeToken(req.query.token);
+      if (!email) {
+        return res.status(400).send(renderInvalidLink());
+      }
+
+      await reviewRequestService.unsubscribe(email);
+      res.send(renderUnsubscribed({ email }));
+    } catch (error) {
+      console.error("Error unsubscribing:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to unsubscribe",
+        error: error.message,
+      });
+    }
+  }
+}
+
+module.exports = new ReviewRequestController();
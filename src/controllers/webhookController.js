@@ -0,0 +1,41 @@
+const webhookService = require("../services/webhookService");
+
+class WebhookController {
+  /**
+   * Accept a verified Shopify webhook. Processing happens in a
+   * webhook.process job so Shopify gets its answer quickly; failures are
+   * retried by the sync worker, not by Shopify.
+   */
+  async receiveShopifyWebhook(req, res) {
+    const { id, topic } = req.webhook;
+
+    try {
+      if (!webhookService.isHandled(topic)) {
+        console.log(`[Webhooks] Ignoring ${topic} webhook ${id}`);
+        return res.json({ success: true, message: "Topic not handled" });
+      }
+
+      const { duplicate } = await webhookService.receive(req.webhook);
+      console.log(
+        `[Webhooks] ${
+          duplicate ? "Duplicate" : "Received"
+        } ${topic} webhook ${id}`
+      );
+
+      res.json({
+        success: true,
+        message: duplicate ? "Already received" : "Webhook queued",
+      });
+    } catch (error) {
+      // Shopify redelivers on an error status
+      console.error("Error receiving webhook:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to receive webhook",
+        error: error.message,
+      });
+    }
+  }
+}
+
+module.exports = new WebhookController();
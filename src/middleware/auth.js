@@ -0,0 +1,125 @@
+const crypto = require("crypto");
+const rateLimit = require("express-rate-limit");
+const config = require("../config");
+const { verifyToken } = require("../utils/signedToken");
+
+const ROLES = config.auth.roles;
+
+// Only requests without valid credentials count towards this limit, and
+// requests with valid credentials are never blocked by it, so failed attempts
+// from an IP cannot lock admins out.
+const failedAuthLimiter = rateLimit({
+  ...config.auth.failedAttemptsLimit,
+  message: {
+    success: false,
+    message: "Too many failed authentication attempts, please try again later.",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: (req) => Boolean(req.authResult.principal),
+});
+
+function hashKey(value) {
+  return crypto.createHash("sha256").update(value).digest();
+}
+
+/**
+ * Find the configured admin API key matching the given value
+ */
+function findApiKey(value) {
+  const candidate = hashKey(value);
+  return config.auth.adminApiKeys.find((entry) =>
+    crypto.timingSafeEqual(hashKey(entry.key), candidate)
+  );
+}
+
+/**
+ * Resolve the principal for a request from an X-API-Key header
+ * or an `Authorization: Bearer <session token>` header
+ */
+function resolvePrincipal(req) {
+  const apiKey = req.get("X-API-Key");
+  if (apiKey) {
+    const entry = findApiKey(apiKey);
+    return entry
+      ? { principal: { name: entry.name, role: entry.role, method: "api_key" } }
+      : { reason: "invalid_api_key" };
+  }
+
+  const authorization = req.get("Authorization") || "";
+  const [scheme, token] = authorization.split(" ");
+  if (scheme === "Bearer" && token) {
+    const payload = verifyToken(token, config.auth.sessionSecret);
+    if (!payload || payload.typ !== "admin_session") {
+      return { reason: "invalid_session_token" };
+    }
+    if (!ROLES.includes(payload.role)) {
+      return { reason: "invalid_session_role" };
+    }
+    return {
+      principal: { name: payload.sub, role: payload.role, method: "session" },
+    };
+  }
+
+  return { reason: "missing_credentials" };
+}
+
+function hasRole(principal, requiredRole) {
+  return ROLES.indexOf(principal.role) >= ROLES.indexOf(requiredRole);
+}
+
+function logFailure(req, reason, principal) {
+  console.warn("[Auth] Rejected admin request:", {
+    reason,
+    principal: principal ? principal.name : null,
+    method: req.method,
+    path: req.originalUrl,
+    ip: req.ip,
+  });
+}
+
+/**
+ * Protect a route so only admins with at least the given role can call it.
+ * Returns a middleware chain, use it as `router.get(path, requireRole("viewer"), handler)`.
+ */
+function requireRole(requiredRole) {
+  if (!ROLES.includes(requiredRole)) {
+    throw new Error(`Unknown role: ${requiredRole}`);
+  }
+
+  return [
+    (req, res, next) => {
+      req.authResult = resolvePrincipal(req);
+      next();
+    },
+    failedAuthLimiter,
+    (req, res, next) => {
+      const { principal, reason } = req.authResult;
+
+      if (!principal) {
+        logFailure(req, reason);
+        return res.status(401).json({
+          success: false,
+          message: "Authentication required",
+        });
+      }
+
+      if (!hasRole(principal, requiredRole)) {
+        logFailure(req, `requires_${requiredRole}`, principal);
+        return res.status(403).json({
+          success: false,
+          message: `This action requires the ${requiredRole} role`,
+        });
+      }
+
+      req.admin = principal;
+      next();
+    },
+  ];
+}
+
+module.exports = {
+  ROLES,
+  hasRole,
+  requireRole,
+};
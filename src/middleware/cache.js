@@ -0,0 +1,58 @@
+const crypto = require("crypto");
+const config = require("../config");
+const cacheService = require("../services/cacheService");
+
+function etagFor(body) {
+  return `"${crypto
+    .createHash("sha1")
+    .update(JSON.stringify(body))
+    .digest("base64url")}"`;
+}
+
+function setCacheHeaders(res, etag, status) {
+  res.set({
+    ETag: etag,
+    "Cache-Control": `public, max-age=${config.cache.maxAgeSeconds}`,
+    "X-Cache": status,
+  });
+}
+
+/**
+ * Cache successful JSON responses of a product endpoint (`:productId` route
+ * parameter), keyed by product and query string. Sends an ETag so clients can
+ * revalidate with If-None-Match and get a 304.
+ */
+function cacheProductResponse(namespace) {
+  return async (req, res, next) => {
+    if (!config.cache.enabled) {
+      return next();
+    }
+
+    const { productId } = req.params;
+    const key = cacheService.keyFor(namespace, productId, req.query);
+    const cached = await cacheService.get(key);
+
+    if (cached) {
+      setCacheHeaders(res, cached.etag, "HIT");
+      // res.json answers 304 when the request's If-None-Match matches the ETag
+      return res.json(cached.body);
+    }
+
+    const computedSince = Date.now();
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode === 200 && body && body.success) {
+        const etag = etagFor(body);
+        setCacheHeaders(res, etag, "MISS");
+        cacheService.set(key, productId, { etag, body }, computedSince);
+      }
+      return json(body);
+    };
+
+    next();
+  };
+}
+
+module.exports = {
+  cacheProductResponse,
+};
@@ -0,0 +1,23 @@
+const { readEditToken } = require("../utils/reviewEditToken");
+
+/**
+ * Require the edit token issued to a review's author in the X-Review-Token
+ * header (never in the URL, which ends up in access logs). Sets
+ * req.editReviewId.
+ */
+function requireEditToken(req, res, next) {
+  const reviewId = readEditToken(req.get("X-Review-Token"));
+  if (!reviewId) {
+    return res.status(401).json({
+      success: false,
+      message: "A valid review edit token is required",
+    });
+  }
+
+  req.editReviewId = reviewId;
+  next();
+}
+
+module.exports = {
+  requireEditToken,
+};
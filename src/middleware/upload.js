@@ -0,0 +1,125 @@
+const multer = require("multer");
+const config = require("../config");
+const { toMediaFile } = require("../utils/mediaFile");
+
+// "media" takes any mix of photos and videos; "image" and "video" are the
+// original single-file fields
+const MEDIA_FIELDS = [
+  { name: "media", maxCount: config.upload.maxMediaItems },
+  { name: "image", maxCount: 1 },
+  { name: "video", maxCount: 1 },
+];
+
+// Files are streamed into memory and the upload is aborted as soon as one
+// goes over the size limit
+const parser = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: config.upload.maxFileSize,
+    files: config.upload.maxMediaItems,
+    fields: 50,
+  },
+}).fields(MEDIA_FIELDS);
+
+const ERROR_STATUS = {
+  LIMIT_FILE_SIZE: 413,
+  LIMIT_FILE_COUNT: 413,
+};
+
+function errorMessage(error) {
+  switch (error.code) {
+    case "LIMIT_FILE_SIZE":
+      return `${error.field} exceeds the ${Math.round(
+        config.upload.maxFileSize / (1024 * 1024)
+      )}MB limit`;
+    case "LIMIT_FILE_COUNT":
+      return `A review can have at most ${config.upload.maxMediaItems} photos and videos`;
+    default:
+      return error.message;
+  }
+}
+
+/**
+ * Parse a multipart/form-data review submission. Text fields end up in
+ * req.body (empty ones dropped) and files in req.mediaFiles, typed from their
+ * magic bytes. JSON requests pass through untouched.
+ */
+function parseReviewUpload(req, res, next) {
+  if (!req.is("multipart/form-data")) {
+    return next();
+  }
+
+  parser(req, res, (error) => {
+    if (error) {
+      const status =
+        error instanceof multer.MulterError
+          ? ERROR_STATUS[error.code] || 400
+          : 400;
+      return res.status(status).json({
+        success: false,
+        message: errorMessage(error),
+      });
+    }
+
+    Object.keys(req.body).forEach((key) => {
+      if (req.body[key] === "") {
+        delete req.body[key];
+      }
+    });
+
+    try {
+      req.mediaFiles = MEDIA_FIELDS.flatMap(({ name }) =>
+        ((req.files && req.files[name]) || []).map((file) =>
+          toMediaFile(
+            file.buffer,
+            name === "media" ? null : name,
+            file.originalname || name
+          )
+        )
+      );
+    } catch (fileError) {
+      return res.status(fileError.status || 400).json({
+        success: false,
+        message: fileError.message,
+      });
+    }
+
+    next();
+  });
+}
+
+const importParser = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: config.imports.maxFileSize, files: 1, fields: 10 },
+}).single("file");
+
+/**
+ * Parse a multipart/form-data CSV upload sent as the "file" field. The file
+ * ends up in req.file, text fields in req.body.
+ */
+function parseImportUpload(req, res, next) {
+  importParser(req, res, (error) => {
+    if (error) {
+      const status =
+        error instanceof multer.MulterError
+          ? ERROR_STATUS[error.code] || 400
+          : 400;
+      return res.status(status).json({
+        success: false,
+        message:
+          error.code === "LIMIT_FILE_SIZE"
+            ? `The file exceeds the ${Math.round(
+                config.imports.maxFileSize / (1024 * 1024)
+              )}MB limit`
+            : error.message,
+      });
+    }
+
+    next();
+  });
+}
+
+module.exports = {
+  parseReviewUpload,
+  parseImportUpload,
+};
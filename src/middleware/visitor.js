@@ -0,0 +1,42 @@
+const config = require("../config");
+const {
+  issueVisitorToken,
+  isValidVisitorToken,
+} = require("../utils/visitorHash");
+
+/**
+ * Identify the anonymous visitor behind a request, for per-visitor
+ * deduplication (review votes and reports). Visitor tokens are issued and
+ * signed by this server: the review_visitor cookie, or the same token sent
+ * back in the X-Visitor-Token header, which also works where third-party
+ * cookies are blocked. Anything else gets a new token, set as the cookie and
+ * returned in the X-Visitor-Token response header.
+ * Sets req.visitor to { token, ip }.
+ */
+function identifyVisitor(req, res, next) {
+  const { cookieName, cookieMaxAgeMs } = config.visitors;
+  const headerToken = req.get("X-Visitor-Token");
+  const cookieToken = req.cookies && req.cookies[cookieName];
+
+  let token = [headerToken, cookieToken].find(isValidVisitorToken);
+  if (!token) {
+    token = issueVisitorToken();
+
+    // The widget runs on the shop's domain, so the cookie has to be cross-site
+    const secure = process.env.NODE_ENV === "production";
+    res.cookie(cookieName, token, {
+      httpOnly: true,
+      secure,
+      sameSite: secure ? "none" : "lax",
+      maxAge: cookieMaxAgeMs,
+    });
+    res.set("X-Visitor-Token", token);
+  }
+
+  req.visitor = { token, ip: req.ip };
+  next();
+}
+
+module.exports = {
+  identifyVisitor,
+};
@@ -0,0 +1,115 @@
+const express = require("express");
+const adminController = require("../controllers/adminController");
+const { requireRole } = require("../middleware/auth");
+const { parseImportUpload } = require("../middleware/upload");
+
+const router = express.Router();
+
+/**
+ * @route GET /api/admin/sync-jobs
+ * @desc List Shopify sync jobs (filter with ?status=dead&type=review.create&limit=50)
+ * @access Admin (viewer)
+ */
+router.get("/sync-jobs", requireRole("viewer"), adminController.listSyncJobs);
+
+/**
+ * @route POST /api/admin/sync-jobs/replay-dead
+ * @desc Requeue every dead-lettered sync job
+ * @access Admin (owner)
+ */
+router.post(
+  "/sync-jobs/replay-dead",
+  requireRole("owner"),
+  adminController.replayDeadSyncJobs
+);
+
+/**
+ * @route GET /api/admin/sync-jobs/:jobId
+ * @desc Get a sync job with its attempts and last error
+ * @access Admin (viewer)
+ */
+router.get(
+  "/sync-jobs/:jobId",
+  requireRole("viewer"),
+  adminController.getSyncJob
+);
+
+/**
+ * @route POST /api/admin/sync-jobs/:jobId/replay
+ * @desc Requeue a failed or dead-lettered sync job
+ * @access Admin (moderator)
+ */
+router.post(
+  "/sync-jobs/:jobId/replay",
+  requireRole("moderator"),
+  adminController.replaySyncJob
+);
+
+/**
+ * @route GET /api/admin/reconcile
+ * @desc Report drift between the database, metaobjects and product metafields
+ * @access Admin (viewer)
+ */
+router.get(
+  "/reconcile",
+  requireRole("viewer"),
+  adminController.getReconcileReport
+);
+
+/**
+ * @route POST /api/admin/reconcile/repair
+ * @desc Report drift and repair it
+ * @access Admin (owner)
+ */
+router.post(
+  "/reconcile/repair",
+  requireRole("owner"),
+  adminController.repairReconcile
+);
+
+/**
+ * @route GET /api/admin/review-requests
+ * @desc List review request emails and their send logs (filter with ?status=sent&limit=50)
+ * @access Admin (viewer)
+ */
+router.get(
+  "/review-requests",
+  requireRole("viewer"),
+  adminController.listReviewRequests
+);
+
+/**
+ * @route GET /api/admin/privacy-requests
+ * @desc List customer data requests and redactions received from Shopify
+ * @access Admin (owner)
+ */
+router.get(
+  "/privacy-requests",
+  requireRole("owner"),
+  adminController.listPrivacyRequests
+);
+
+/**
+ * @route GET /api/admin/privacy-requests/:requestId
+ * @desc Get a privacy request with the customer's exported data
+ * @access Admin (owner)
+ */
+router.get(
+  "/privacy-requests/:requestId",
+  requireRole("owner"),
+  adminController.getPrivacyRequest
+);
+
+/**
+ * @route POST /api/admin/imports
+ * @desc Import reviews from a Judge.me, Yotpo or Shopify Product Reviews CSV export (multipart "file", ?format=judgeme&dryRun=true)
+ * @access Admin (owner)
+ */
+router.post(
+  "/imports",
+  requireRole("owner"),
+  parseImportUpload,
+  adminController.importReviews
+);
+
+module.exports = router;
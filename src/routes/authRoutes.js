@@ -0,0 +1,14 @@
+const express = require("express");
+const authController = require("../controllers/authController");
+const { requireRole } = require("../middleware/auth");
+
+const router = express.Router();
+
+/**
+ * @route POST /api/auth/session
+ * @desc Exchange an admin API key for a signed session token
+ * @access Admin API key (viewer)
+ */
+router.post("/session", requireRole("viewer"), authController.createSession);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const express = require("express");
+const rateLimit = require("express-rate-limit");
+const reviewRequestController = require("../controllers/reviewRequestController");
+const config = require("../config");
+
+const router = express.Router();
+
+router.use(rateLimit(config.rateLimit));
+
+/**
+ * @route GET /api/review-requests/prefill
+ * @desc Customer and products behind a review request email link
+ * @access Public (X-Review-Request-Token header)
+ */
+router.get("/prefill", reviewRequestController.getPrefill);
+
+/**
+ * @route GET /api/review-requests/unsubscribe?token=
+ * @desc Confirmation page for the unsubscribe link of a review request email
+ * @access Public (signed link)
+ */
+router.get("/unsubscribe", reviewRequestController.showUnsubscribe);
+
+/**
+ * @route POST /api/review-requests/unsubscribe?token=
+ * @desc Stop review request emails to the link's address (also one-click unsubscribe)
+ * @access Public (signed link)
+ */
+router.post("/unsubscribe", reviewRequestController.unsubscribe);
+
+module.exports = router;
@@ -2,6 +2,11 @@ const express = require("express");
 const reviewController = require("../controllers/reviewController");
 const rateLimit = require("express-rate-limit");
 const config = require("../config");
+const { requireRole } = require("../middleware/auth");
+const { parseReviewUpload } = require("../middleware/upload");
+const { cacheProductResponse } = require("../middleware/cache");
+const { identifyVisitor } = require("../middleware/visitor");
+const { requireEditToken } = require("../middleware/reviewToken");
 
 const router = express.Router();
 
@@ -17,6 +22,28 @@ const createReviewLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Rate limiting for helpful / not helpful votes
+const voteLimiter = rateLimit({
+  ...config.votes.rateLimit,
+  message: {
+    success: false,
+    message: "Too many votes, please try again later.",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Rate limiting for shopper reports
+const reportLimiter = rateLimit({
+  ...config.reports.rateLimit,
+  message: {
+    success: false,
+    message: "Too many reports, please try again later.",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 // Rate limiting for general API calls
 const generalLimiter = rateLimit(config.rateLimit);
 
@@ -25,58 +52,230 @@ router.use(generalLimiter);
 
 /**
  * @route POST /api/reviews
- * @desc Create a new product review
+ * @desc Create a new product review (JSON with base64 media, or multipart/form-data with image/video files)
  * @access Public (with rate limiting)
  */
-router.post("/", createReviewLimiter, reviewController.createReview);
+router.post(
+  "/",
+  createReviewLimiter,
+  parseReviewUpload,
+  reviewController.createReview
+);
+
+/**
+ * @route GET /api/reviews/mine
+ * @desc Get the review an edit token was issued for
+ * @access Review author (X-Review-Token header)
+ */
+router.get("/mine", requireEditToken, reviewController.getMyReview);
+
+/**
+ * @route PUT /api/reviews/mine
+ * @desc Edit your own review (JSON with base64 media, or multipart/form-data); sends it back to moderation
+ * @access Review author (X-Review-Token header, with rate limiting)
+ */
+router.put(
+  "/mine",
+  requireEditToken,
+  createReviewLimiter,
+  parseReviewUpload,
+  reviewController.updateMyReview
+);
+
+/**
+ * @route DELETE /api/reviews/mine
+ * @desc Delete your own review
+ * @access Review author (X-Review-Token header)
+ */
+router.delete("/mine", requireEditToken, reviewController.deleteMyReview);
 
 /**
  * @route GET /api/reviews/product/:productId
- * @desc Get all reviews for a specific product
+ * @desc Get approved reviews for a specific product, sorted, filtered and paginated (cached)
+ * @query sort, limit, cursor, rating, verified, hasMedia, size, ageRange, fitRating
  * @access Public
  */
-router.get("/product/:productId", reviewController.getProductReviews);
+router.get(
+  "/product/:productId",
+  cacheProductResponse("reviews"),
+  reviewController.getProductReviews
+);
 
 /**
  * @route GET /api/reviews/stats/:productId
- * @desc Get review statistics for a product
+ * @desc Get review statistics for a product (cached)
  * @access Public
  */
-router.get("/stats/:productId", reviewController.getReviewStats);
+router.get(
+  "/stats/:productId",
+  cacheProductResponse("stats"),
+  reviewController.getReviewStats
+);
+
+/**
+ * @route GET /api/reviews/fit-advice/:productId
+ * @desc Suggest a size to order from how the size fit reviewers (cached)
+ * @query usualSize
+ * @access Public
+ */
+router.get(
+  "/fit-advice/:productId",
+  cacheProductResponse("fit-advice"),
+  reviewController.getFitAdvice
+);
+
+/**
+ * @route POST /api/reviews/:ratingId/helpful
+ * @desc Vote an approved review helpful, once per visitor (X-Visitor-Token header or review_visitor cookie)
+ * @access Public (with rate limiting)
+ */
+router.post(
+  "/:ratingId/helpful",
+  voteLimiter,
+  identifyVisitor,
+  reviewController.voteHelpful
+);
+
+/**
+ * @route POST /api/reviews/:ratingId/not-helpful
+ * @desc Vote an approved review not helpful, once per visitor
+ * @access Public (with rate limiting)
+ */
+router.post(
+  "/:ratingId/not-helpful",
+  voteLimiter,
+  identifyVisitor,
+  reviewController.voteNotHelpful
+);
+
+/**
+ * @route POST /api/reviews/:ratingId/report
+ * @desc Report an approved review (offensive, spam, wrong_product, private_info), once per visitor.
+ *       Enough open reports send it back to the moderation queue.
+ * @access Public (with rate limiting)
+ */
+router.post(
+  "/:ratingId/report",
+  reportLimiter,
+  identifyVisitor,
+  reviewController.reportReview
+);
 
 /**
  * @route GET /api/reviews
  * @desc Get all reviews (for admin use)
- * @access Public (should be protected in production)
+ * @access Admin (viewer)
+ */
+router.get("/", requireRole("viewer"), reviewController.getAllReviews);
+
+/**
+ * @route GET /api/reviews/moderation/queue
+ * @desc List reviews waiting for moderation, oldest first
+ * @access Admin (moderator)
+ */
+router.get(
+  "/moderation/queue",
+  requireRole("moderator"),
+  reviewController.getModerationQueue
+);
+
+/**
+ * @route GET /api/reviews/moderation/reports
+ * @desc List reviews with open shopper reports and their reasons, most reported first
+ * @access Admin (moderator)
+ */
+router.get(
+  "/moderation/reports",
+  requireRole("moderator"),
+  reviewController.getReportedReviews
+);
+
+/**
+ * @route PUT /api/reviews/:ratingId/moderation
+ * @desc Approve, reject, mark as spam or reopen a review
+ * @access Admin (moderator)
+ */
+router.put(
+  "/:ratingId/moderation",
+  requireRole("moderator"),
+  reviewController.moderateReview
+);
+
+/**
+ * @route POST /api/reviews/:ratingId/reply
+ * @desc Add the merchant's public reply to a review (one per review)
+ * @access Admin (moderator)
+ */
+router.post(
+  "/:ratingId/reply",
+  requireRole("moderator"),
+  reviewController.createReply
+);
+
+/**
+ * @route PUT /api/reviews/:ratingId/reply
+ * @desc Edit the merchant reply (body, author name or status)
+ * @access Admin (moderator)
+ */
+router.put(
+  "/:ratingId/reply",
+  requireRole("moderator"),
+  reviewController.updateReply
+);
+
+/**
+ * @route DELETE /api/reviews/:ratingId/reply
+ * @desc Delete the merchant reply
+ * @access Admin (moderator)
  */
-router.get("/", reviewController.getAllReviews);
+router.delete(
+  "/:ratingId/reply",
+  requireRole("moderator"),
+  reviewController.deleteReply
+);
 
 /**
  * @route PUT /api/reviews/:ratingId
  * @desc Update a review (for moderation)
- * @access Public (should be protected in production)
+ * @access Admin (moderator)
  */
-router.put("/:ratingId", reviewController.updateReview);
+router.put(
+  "/:ratingId",
+  requireRole("moderator"),
+  reviewController.updateReview
+);
 
 /**
  * @route DELETE /api/reviews/:ratingId
  * @desc Delete a review
- * @access Public (should be protected in production)
+ * @access Admin (owner)
  */
-router.delete("/:ratingId", reviewController.deleteReview);
+router.delete(
+  "/:ratingId",
+  requireRole("owner"),
+  reviewController.deleteReview
+);
 
 /**
  * @route PUT /api/reviews/:ratingId/publish
- * @desc Publish a specific review (change from draft to active)
- * @access Public (should be protected in production)
+ * @desc Publish a specific review (approve it, making the metaobject active)
+ * @access Admin (moderator)
  */
-router.put("/:ratingId/publish", reviewController.publishReview);
+router.put(
+  "/:ratingId/publish",
+  requireRole("moderator"),
+  reviewController.publishReview
+);
 
 /**
  * @route POST /api/reviews/publish-all-drafts
- * @desc Publish all draft reviews (change from draft to active)
- * @access Public (should be protected in production)
+ * @desc Publish all draft reviews (approve every pending review)
+ * @access Admin (owner)
  */
-router.post("/publish-all-drafts", reviewController.publishAllDraftReviews);
+router.post(
+  "/publish-all-drafts",
+  requireRole("owner"),
+  reviewController.publishAllDraftReviews
+);
 
 module.exports = router;
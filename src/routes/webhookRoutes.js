@@ -0,0 +1,20 @@
+const express = require("express");
+const webhookController = require("../controllers/webhookController");
+const { verifyShopifyWebhook } = require("../middleware/shopifyWebhook");
+
+const router = express.Router();
+
+/**
+ * @route POST /webhooks/shopify
+ * @desc Receive product, order and mandatory privacy webhooks
+ * @access Shopify (X-Shopify-Hmac-Sha256 signature)
+ */
+router.post(
+  "/shopify",
+  // The signature covers the raw body, so it is parsed after verification
+  express.raw({ type: "application/json", limit: "5mb" }),
+  verifyShopifyWebhook,
+  webhookController.receiveShopifyWebhook
+);
+
+module.exports = router;
@@ -0,0 +1,103 @@
+// Author name of reviews without one, or whose author's data was erased
+const ANONYMOUS_AUTHOR = "Anonymous";
+
+/**
+ * Name shown on the storefront: first name and last initial ("María G."),
+ * never the full name
+ */
+function toDisplayName(authorName) {
+  const [first, ...rest] = (authorName || "").trim().split(/\s+/);
+  if (!first) {
+    return ANONYMOUS_AUTHOR;
+  }
+  // First surname, as in "María García López"
+  const [surname] = rest;
+  return surname ? `${first} ${surname.charAt(0).toUpperCase()}.` : first;
+}
+
+/**
+ * Review as returned by public endpoints, from a mapped product_rating
+ * metaobject: only the fields the storefront shows, the author reduced to a
+ * display name and never their email
+ */
+function toPublicReview(review) {
+  return {
+    id: review.id,
+    productId: review.product_id,
+    rating: review.rating,
+    title: review.title,
+    body: review.body,
+    authorName: toDisplayName(review.authorName),
+    isVerifiedBuyer: review.isVerifiedBuyer,
+    ageRange: review.ageRange,
+    sizePurchased: review.sizePurchased,
+    fitRating: review.fitRating,
+    sizeFit: review.sizeFit,
+    shippingRating: review.shippingRating,
+    recommendsProduct: review.recommendsProduct,
+    helpfulCount: review.helpfulCount,
+    notHelpfulCount: review.notHelpfulCount,
+    createdAt: review.createdAt,
+    image: review.image,
+    video: review.video,
+    imageThumbnail: review.imageThumbnail,
+    media: review.media,
+    thumbnails: review.thumbnails,
+    merchantReply: review.merchantReply,
+  };
+}
+
+/**
+ * Merchant reply row as returned by admin endpoints
+ */
+function toAdminReply(reply) {
+  return {
+    ...reply,
+    moderationStatus: reply.moderationStatus.toLowerCase(),
+  };
+}
+
+/**
+ * Review row as returned by admin endpoints: BigInt IDs as strings,
+ * moderation status in lowercase and no raw media bytes
+ */
+function toAdminReview(review) {
+  const { shopifyProductId, moderationStatus, media, reply, ...rest } = review;
+
+  return {
+    ...rest,
+    productId: shopifyProductId.toString(),
+    moderationStatus: moderationStatus.toLowerCase(),
+    ...(media && {
+      media: media.map(({ data, thumbnailData, ...item }) => item),
+    }),
+    ...(reply !== undefined && { reply: reply && toAdminReply(reply) }),
+  };
+}
+
+/**
+ * Reported review as listed for moderators: its open reports without the
+ * reporter hashes, and how many there are per reason
+ */
+function toReportedReview(review) {
+  const { reports, ...rest } = review;
+  const reasons = {};
+  reports.forEach((report) => {
+    reasons[report.reason] = (reasons[report.reason] || 0) + 1;
+  });
+
+  return {
+    ...toAdminReview(rest),
+    reasons,
+    reports: reports.map(({ reporterHash, ...report }) => report),
+  };
+}
+
+module.exports = {
+  ANONYMOUS_AUTHOR,
+  toDisplayName,
+  toPublicReview,
+  toAdminReply,
+  toAdminReview,
+  toReportedReview,
+};
@@ -0,0 +1,98 @@
+const config = require("../config");
+const MemoryCacheStore = require("../utils/memoryCacheStore");
+
+// Every cached response of a product starts with this prefix, so one
+// deletePrefix call invalidates all of them
+function productPrefix(productId) {
+  return `product:${productId}:`;
+}
+
+class CacheService {
+  constructor() {
+    this.store = new MemoryCacheStore({ maxEntries: config.cache.maxEntries });
+    // When each product was last invalidated by this process. Only requests
+    // still running need it, so entries expire with the cache TTL and the
+    // least recently invalidated products are dropped first.
+    this.invalidatedAt = new MemoryCacheStore({
+      maxEntries: config.cache.maxEntries,
+    });
+  }
+
+  /**
+   * Replace the in-memory store, e.g. with a Redis-backed one shared by every
+   * instance. The store needs async get, set(key, value, ttlSeconds), delete
+   * and deletePrefix.
+   * Invalidation timestamps stay in this process: a request running on
+   * another instance during a write can still store its stale response.
+   */
+  setStore(store) {
+    this.store = store;
+  }
+
+  /**
+   * Cache key for one product response: namespace plus the query parameters
+   * in a stable order
+   */
+  keyFor(namespace, productId, query = {}) {
+    const params = Object.keys(query)
+      .sort()
+      .map((name) => `${name}=${query[name]}`)
+      .join("&");
+    return `${productPrefix(productId)}${namespace}:${params}`;
+  }
+
+  async get(key) {
+    try {
+      return await this.store.get(key);
+    } catch (error) {
+      console.error("[Cache] Read failed, treating as a miss:", error.message);
+      return undefined;
+    }
+  }
+
+  /**
+   * Store a response computed from data read at `computedSince`. Skipped if the
+   * product was invalidated in the meantime, so a slow request cannot put
+   * stale data back after a write.
+   */
+  async set(key, productId, value, computedSince) {
+    const invalidatedAt =
+      (await this.invalidatedAt.get(String(productId))) || 0;
+    if (invalidatedAt >= computedSince) {
+      return;
+    }
+
+    try {
+      await this.store.set(key, value, config.cache.ttlSeconds);
+    } catch (error) {
+      console.error("[Cache] Write failed:", error.message);
+    }
+  }
+
+  /**
+   * Drop every cached response of a product. Called once a change has
+   * reached Shopify.
+   */
+  async invalidateProduct(productId) {
+    if (!productId) {
+      return;
+    }
+
+    try {
+      await this.invalidatedAt.set(
+        String(productId),
+        Date.now(),
+        config.cache.ttlSeconds
+      );
+      await this.store.deletePrefix(productPrefix(productId));
+      console.log(`[Cache] Invalidated product ${productId}`);
+    } catch (error) {
+      console.error(
+        `[Cache] Failed to invalidate product ${productId}:`,
+        error.message
+      );
+    }
+  }
+}
+
+module.exports = new CacheService();
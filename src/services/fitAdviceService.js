@@ -0,0 +1,166 @@
+const { fitCategory } = require("../constants/fit");
+
+// Letter sizes from smallest to largest
+const LETTER_SIZES = ["xxs", "xs", "s", "m", "l", "xl", "xxl", "xxxl"];
+
+// Numeric sizes: the waist alone ("30", "30.5"), "W30 L32" or "30x32"
+const NUMERIC_SIZE_PATTERNS = [
+  /^(\d+(?:\.\d+)?)$/,
+  /^w\s*(\d+(?:\.\d+)?)(?:\s*l\s*\d+)?$/,
+  /^(\d+(?:\.\d+)?)\s*[x/]\s*\d+$/,
+];
+
+// Same-size reviews needed before advice is based on them alone
+const MIN_SAME_SIZE_REVIEWS = 3;
+
+/**
+ * Position of a size on its scale: the waist for numeric sizes
+ * ("30", "W30 L32", "30x32"), the index for letter sizes ("M", "2XL").
+ * Null if unknown.
+ */
+function sizeValue(size) {
+  const normalized = size.trim().toLowerCase();
+  for (const pattern of NUMERIC_SIZE_PATTERNS) {
+    const match = normalized.match(pattern);
+    if (match) {
+      return { scale: "numeric", value: parseFloat(match[1]) };
+    }
+  }
+
+  // "2XL" is written out as "xxl"
+  const letters = normalized
+    .replace(/\s+/g, "")
+    .replace(/^(\d)x([sl])$/, (match, count, end) => "x".repeat(count) + end);
+  const index = LETTER_SIZES.indexOf(letters);
+  return index === -1 ? null : { scale: "letter", value: index };
+}
+
+function sameSize(a, b) {
+  const valueA = sizeValue(a);
+  const valueB = sizeValue(b);
+  if (valueA && valueB) {
+    return valueA.scale === valueB.scale && valueA.value === valueB.value;
+  }
+  return a.trim().toLowerCase() === b.trim().toLowerCase();
+}
+
+/**
+ * The size `steps` away from the usual size: a neighbour bought by reviewers
+ * when there is one, otherwise the next size on the scale
+ */
+function shiftSize(usualSize, steps, purchasedSizes) {
+  const usual = sizeValue(usualSize);
+  if (!usual || steps === 0) {
+    return usualSize;
+  }
+
+  if (usual.scale === "letter") {
+    const index = Math.min(
+      Math.max(usual.value + steps, 0),
+      LETTER_SIZES.length - 1
+    );
+    return LETTER_SIZES[index].toUpperCase();
+  }
+
+  const known = [
+    ...new Set(
+      purchasedSizes
+        .map(sizeValue)
+        .filter((size) => size && size.scale === "numeric")
+        .map((size) => size.value)
+    ),
+  ];
+  const candidates = known
+    .filter((value) => (steps > 0 ? value > usual.value : value < usual.value))
+    .sort((a, b) => (steps > 0 ? a - b : b - a));
+
+  return String(candidates[Math.abs(steps) - 1] ?? usual.value + steps);
+}
+
+function confidenceFor(supporting, total) {
+  const agreement = total > 0 ? supporting / total : 0;
+  if (supporting >= 10 && agreement >= 0.7) {
+    return "high";
+  }
+  if (supporting >= 4 && agreement >= 0.6) {
+    return "medium";
+  }
+  return "low";
+}
+
+class FitAdviceService {
+  /**
+   * Suggest which size to order for a shopper who usually wears `usualSize`,
+   * from the size bought and size fit of approved reviews. Reviews for the
+   * same size are used when there are enough of them, otherwise all of them.
+   */
+  adviseSize(reviews, usualSize) {
+    const fitReviews = reviews.filter(
+      (review) => review.sizePurchased && review.sizeFit != null
+    );
+    const sameSizeReviews = fitReviews.filter((review) =>
+      sameSize(review.sizePurchased, usualSize)
+    );
+    const basedOn =
+      sameSizeReviews.length >= MIN_SAME_SIZE_REVIEWS
+        ? "same_size"
+        : "all_sizes";
+    const sample = basedOn === "same_size" ? sameSizeReviews : fitReviews;
+
+    if (sample.length === 0) {
+      return {
+        usualSize,
+        recommendedSize: null,
+        adjustment: null,
+        fitVerdict: null,
+        confidence: null,
+        supportingReviews: 0,
+        totalFitReviews: 0,
+        basedOn: null,
+        message: "Not enough fit feedback yet to recommend a size",
+      };
+    }
+
+    // Average distance from "true to size" (3): negative runs small
+    const deviation =
+      sample.reduce((sum, review) => sum + (review.sizeFit - 3), 0) /
+      sample.length;
+    // Runs small → size up, one size, or two when it runs very small
+    let steps = 0;
+    if (Math.abs(deviation) >= 0.5) {
+      const magnitude = Math.abs(deviation) >= 1.5 ? 2 : 1;
+      steps = deviation < 0 ? magnitude : -magnitude;
+    }
+
+    const fitVerdict =
+      steps === 0 ? "true_to_size" : steps > 0 ? "runs_small" : "runs_large";
+    const supportingReviews = sample.filter(
+      (review) => fitCategory(review.sizeFit) === fitVerdict
+    ).length;
+    const recommendedSize = shiftSize(
+      usualSize,
+      steps,
+      fitReviews.map((review) => review.sizePurchased)
+    );
+
+    const messages = {
+      true_to_size: `Most reviewers say it fits true to size. We recommend your usual size, ${recommendedSize}.`,
+      runs_small: `Most reviewers say it runs small. We recommend sizing up to ${recommendedSize}.`,
+      runs_large: `Most reviewers say it runs large. We recommend sizing down to ${recommendedSize}.`,
+    };
+
+    return {
+      usualSize,
+      recommendedSize,
+      adjustment: steps === 0 ? "usual" : steps > 0 ? "size_up" : "size_down",
+      fitVerdict,
+      confidence: confidenceFor(supportingReviews, sample.length),
+      supportingReviews,
+      totalFitReviews: sample.length,
+      basedOn,
+      message: messages[fitVerdict],
+    };
+  }
+}
+
+module.exports = new FitAdviceService();
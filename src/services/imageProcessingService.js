@@ -0,0 +1,95 @@
+const sharp = require("sharp");
+const config = require("../config");
+const HttpError = require("../utils/httpError");
+
+// Output encoder per source type. Re-encoding is what drops the metadata:
+// sharp writes no EXIF, XMP or IPTC unless asked to.
+const ENCODERS = {
+  "image/jpeg": (image, quality) => image.jpeg({ quality, mozjpeg: true }),
+  "image/png": (image) => image.png({ compressionLevel: 9 }),
+  "image/gif": (image) => image.gif(),
+};
+
+function replaceExtension(filename, extension) {
+  return filename.replace(/\.[^.]+$/, "") + `.${extension}`;
+}
+
+class ImageProcessingService {
+  /**
+   * Sanitize an uploaded image before it is stored: apply the EXIF
+   * orientation, strip all metadata (GPS location, device serials…) and
+   * downscale it to the configured maximum dimension. Adds a WebP thumbnail
+   * variant as `file.thumbnail`. Videos are returned unchanged.
+   */
+  async processMediaFile(file) {
+    if (file.kind !== "image") {
+      return file;
+    }
+
+    const { maxDimension, thumbnailSize, quality } = config.upload.images;
+    const animated = file.type === "image/gif";
+
+    try {
+      // rotate() with no angle applies the EXIF orientation
+      const { data, info } = await ENCODERS[file.type](
+        sharp(file.buffer, { animated }).rotate().resize({
+          width: maxDimension,
+          height: maxDimension,
+          fit: "inside",
+          withoutEnlargement: true,
+        }),
+        quality
+      ).toBuffer({ resolveWithObject: true });
+
+      // Thumbnails are a still of the first frame
+      const thumbnail = await sharp(file.buffer)
+        .rotate()
+        .resize({
+          width: thumbnailSize,
+          height: thumbnailSize,
+          fit: "inside",
+          withoutEnlargement: true,
+        })
+        .webp({ quality })
+        .toBuffer();
+
+      console.log(
+        `[ImageProcessing] ${file.name}: ${file.size} → ${data.length} bytes (${
+          info.width
+        }x${info.pageHeight || info.height}), thumbnail ${
+          thumbnail.length
+        } bytes`
+      );
+
+      return {
+        ...file,
+        buffer: data,
+        size: data.length,
+        width: info.width,
+        height: info.pageHeight || info.height,
+        thumbnail: {
+          buffer: thumbnail,
+          size: thumbnail.length,
+          type: "image/webp",
+          name: replaceExtension(file.name, "thumb.webp"),
+        },
+      };
+    } catch (error) {
+      console.error(`[ImageProcessing] Could not process ${file.name}:`, error);
+      throw new HttpError(415, `${file.name} is not a readable image`);
+    }
+  }
+
+  /**
+   * Process the files of a submission one at a time (image work is CPU bound)
+   */
+  async processMediaFiles(files) {
+    const processed = [];
+    for (const file of files) {
+      processed.push(await this.processMediaFile(file));
+    }
+    return processed;
+  }
+}
+
+module.exports = new ImageProcessingService();
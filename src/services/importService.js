@@ -0,0 +1,259 @@
+const config = require("../config");
+const reviewService = require("./reviewService");
+const shopifyService = require("./shopifyService");
+const imageProcessingService = require("./imageProcessingService");
+const { createReviewSchema } = require("../validation/reviewSchemas");
+const { parseReviewCsv } = require("../utils/reviewCsv");
+const { toMediaFile } = require("../utils/mediaFile");
+const HttpError = require("../utils/httpError");
+
+// Older review apps did not ask for a title, an email or the fit, so imports
+// accept reviews without them
+const importedReviewSchema = createReviewSchema.fork(
+  ["title", "authorEmail", "fitRating"],
+  (schema) => schema.optional()
+);
+
+function isUniqueViolation(error) {
+  return error.code === "P2002";
+}
+
+function tooLarge(limit) {
+  return `File is over the ${Math.round(limit / (1024 * 1024))}MB limit`;
+}
+
+/**
+ * Read a download's body, giving up as soon as it is larger than `limit`
+ * bytes, so a link to a huge file cannot fill the memory
+ */
+async function readLimited(response, limit) {
+  const declared = parseInt(response.headers.get("content-length"), 10);
+  if (declared > limit) {
+    throw new Error(tooLarge(limit));
+  }
+
+  const chunks = [];
+  let size = 0;
+  // Leaving the loop early cancels the download
+  for await (const chunk of response.body) {
+    size += chunk.length;
+    if (size > limit) {
+      throw new Error(tooLarge(limit));
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+class ImportService {
+  /**
+   * Import a review app's CSV export (see utils/reviewCsv for the formats).
+   * Rows already imported from the same source, by their ID there, are
+   * skipped, so an interrupted import can simply be run again. Photos are
+   * downloaded and processed like uploads; one that fails only adds a
+   * warning to its row. With dryRun nothing is downloaded or written, the
+   * report shows what would happen. Files over `maxRows` rows are refused
+   * with a 413.
+   * Returns { format, dryRun, totalRows, created, skipped, failed, rows }.
+   */
+  async importCsv(csv, { format, dryRun = false, maxRows = Infinity } = {}) {
+    const parsed = parseReviewCsv(csv, format);
+    if (parsed.rows.length > maxRows) {
+      throw new HttpError(
+        413,
+        `The file has ${parsed.rows.length} rows, the limit is ${maxRows}: import it with npm run import:reviews`
+      );
+    }
+    const productIds = new Map();
+    const imported = new Set(
+      (
+        await reviewService.findImported(
+          parsed.format,
+          parsed.rows.map((row) => row.externalId)
+        )
+      ).map((review) => review.importExternalId)
+    );
+
+    const report = {
+      format: parsed.format,
+      dryRun,
+      totalRows: parsed.rows.length,
+      created: 0,
+      skipped: 0,
+      failed: 0,
+      rows: [],
+    };
+    const seen = new Set();
+    // Imported reviews reach Shopify one at a time, jobSpacingMs apart
+    const firstRunAt = Date.now();
+
+    console.log(
+      `[Import] ${dryRun ? "Dry run of" : "Importing"} ${parsed.rows.length} ${
+        parsed.format
+      } review(s)`
+    );
+
+    for (const [index, row] of parsed.rows.entries()) {
+      // Row numbers as seen in a spreadsheet, after the header
+      const result = { row: index + 2 };
+      report.rows.push(result);
+
+      if (imported.has(row.externalId) || seen.has(row.externalId)) {
+        result.status = "skipped";
+        result.reason = imported.has(row.externalId)
+          ? "already imported"
+          : "duplicate of an earlier row";
+        report.skipped++;
+        continue;
+      }
+      seen.add(row.externalId);
+
+      const errors = [...row.errors];
+      let productId = null;
+      try {
+        productId = await this.resolveProductId(row.product, productIds);
+        if (!productId) {
+          errors.push("Product not found in Shopify");
+        }
+      } catch (error) {
+        errors.push(error.message);
+      }
+
+      const { error, value } = importedReviewSchema.validate(
+        { ...row.fields, ...(productId && { productId }) },
+        { abortEarly: false }
+      );
+      if (error) {
+        errors.push(
+          ...error.details
+            .filter((detail) => !(detail.path[0] === "productId" && !productId))
+            .map((detail) => detail.message)
+        );
+      }
+
+      if (errors.length > 0) {
+        result.status = "failed";
+        result.errors = errors;
+        report.failed++;
+        continue;
+      }
+      result.productId = String(productId);
+
+      if (dryRun) {
+        result.status = "valid";
+        if (row.photoUrls.length > 0) {
+          result.photos = row.photoUrls.length;
+        }
+        continue;
+      }
+
+      const { mediaFiles, warnings } = await this.downloadPhotos(row.photoUrls);
+      if (warnings.length > 0) {
+        result.warnings = warnings;
+      }
+
+      try {
+        const { review } = await reviewService.importReview(value, mediaFiles, {
+          source: parsed.format,
+          externalId: row.externalId,
+          createdAt: row.createdAt || undefined,
+          moderationStatus: row.moderationStatus,
+          reply: row.reply && {
+            body: row.reply,
+            authorName: config.mail.shopName,
+          },
+          runAt: new Date(
+            firstRunAt + report.created * config.imports.jobSpacingMs
+          ),
+        });
+        result.status = "created";
+        result.reviewId = review.id;
+        report.created++;
+      } catch (saveError) {
+        // Imported meanwhile by a concurrent run
+        if (isUniqueViolation(saveError)) {
+          result.status = "skipped";
+          result.reason = "already imported";
+          report.skipped++;
+          continue;
+        }
+        console.error(`[Import] Row ${result.row} failed:`, saveError);
+        result.status = "failed";
+        result.errors = [saveError.message];
+        report.failed++;
+      }
+    }
+
+    console.log(
+      `[Import] ${parsed.format}: ${report.created} created, ${report.skipped} skipped, ${report.failed} failed`
+    );
+
+    return report;
+  }
+
+  /**
+   * Shopify product ID for a row: its product ID when numeric, otherwise
+   * looked up by handle, then SKU. Lookups are cached for the whole file.
+   */
+  async resolveProductId({ productId, handle, sku }, cache) {
+    if (productId && /^\d+$/.test(productId)) {
+      return productId;
+    }
+
+    const lookups = [
+      handle && ["handle", handle, shopifyService.findProductIdByHandle],
+      sku && ["sku", sku, shopifyService.findProductIdBySku],
+    ].filter(Boolean);
+
+    for (const [kind, key, lookup] of lookups) {
+      const cacheKey = `${kind}:${key}`;
+      if (!cache.has(cacheKey)) {
+        cache.set(cacheKey, await lookup.call(shopifyService, key));
+      }
+      if (cache.get(cacheKey)) {
+        return cache.get(cacheKey);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Download a row's photos and process them like uploaded ones, up to the
+   * per-review limit. Returns { mediaFiles, warnings }.
+   */
+  async downloadPhotos(urls) {
+    const mediaFiles = [];
+    const warnings = [];
+    const { maxMediaItems } = config.upload;
+
+    if (urls.length > maxMediaItems) {
+      warnings.push(
+        `Only the first ${maxMediaItems} of ${urls.length} photos were imported`
+      );
+    }
+
+    for (const url of urls.slice(0, maxMediaItems)) {
+      try {
+        const response = await fetch(url, {
+          signal: AbortSignal.timeout(config.imports.photoTimeoutMs),
+        });
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        const buffer = await readLimited(response, config.upload.maxFileSize);
+        mediaFiles.push(
+          await imageProcessingService.processMediaFile(
+            toMediaFile(buffer, "image", "photo")
+          )
+        );
+      } catch (error) {
+        warnings.push(`Photo ${url} skipped: ${error.message}`);
+      }
+    }
+
+    return { mediaFiles, warnings };
+  }
+}
+
+module.exports = new ImportService();
@@ -0,0 +1,48 @@
+const nodemailer = require("nodemailer");
+const config = require("../config");
+
+class MailService {
+  constructor() {
+    this.transport = null;
+  }
+
+  /**
+   * Replace the mail transport. Anything with a nodemailer-style
+   * sendMail({ from, to, subject, html, text, headers }) resolving to
+   * { messageId } works, e.g. a provider API client or a test double.
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  // SMTP by default, created on first use
+  getTransport() {
+    if (!this.transport) {
+      const { host, port, secure, user, pass } = config.mail.smtp;
+      this.transport = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        ...(user && { auth: { user, pass } }),
+      });
+    }
+    return this.transport;
+  }
+
+  /**
+   * Send an email from the configured sender. Returns { messageId }.
+   */
+  async send({ to, subject, html, text, headers }) {
+    const info = await this.getTransport().sendMail({
+      from: config.mail.from,
+      to,
+      subject,
+      html,
+      text,
+      headers,
+    });
+    return { messageId: info.messageId || null };
+  }
+}
+
+module.exports = new MailService();
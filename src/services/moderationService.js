@@ -0,0 +1,136 @@
+const prisma = require("./prismaService");
+const shopifyService = require("./shopifyService");
+const reviewService = require("./reviewService");
+const syncJobService = require("./syncJobService");
+const reviewSyncService = require("./reviewSyncService");
+const productChangeService = require("./productChangeService");
+const HttpError = require("../utils/httpError");
+const {
+  MODERATION_STATUSES,
+  REJECTION_REASONS,
+  MODERATION_TRANSITIONS,
+} = require("../constants/moderation");
+
+class ModerationService {
+  canTransition(from, to) {
+    return (MODERATION_TRANSITIONS[from] || []).includes(to);
+  }
+
+  /**
+   * Move a review to a new moderation state and queue the Shopify update.
+   * A decision (anything but pending) resolves the review's open reports.
+   * Returns { review, job }, or { review: null, metaobject } for legacy
+   * reviews that only exist in Shopify and are updated there directly.
+   */
+  async transition(ratingId, toStatus, { reason, note, actor } = {}) {
+    if (!MODERATION_STATUSES.includes(toStatus)) {
+      throw new HttpError(400, `Unknown moderation status: ${toStatus}`);
+    }
+    if (toStatus === "REJECTED" && !REJECTION_REASONS.includes(reason)) {
+      throw new HttpError(
+        400,
+        `A rejection reason is required, one of: ${REJECTION_REASONS.join(
+          ", "
+        )}`
+      );
+    }
+
+    const rejectionReason = toStatus === "REJECTED" ? reason : null;
+    const review = await reviewService.findByRatingId(ratingId);
+
+    if (!review) {
+      if (!ratingId.startsWith("gid://")) {
+        throw new HttpError(404, "Review not found");
+      }
+
+      // Reviews created before the database existed
+      const metaobject = await shopifyService.updateProductRating(
+        ratingId,
+        reviewSyncService.toModerationFields(toStatus, rejectionReason)
+      );
+      console.log(
+        `[Moderation] ${
+          actor || "system"
+        } set legacy review ${ratingId} to ${toStatus}`
+      );
+      await productChangeService.metaobjectChanged(metaobject);
+      return { review: null, metaobject };
+    }
+
+    if (review.moderationStatus === toStatus) {
+      throw new HttpError(409, `Review is already ${toStatus.toLowerCase()}`);
+    }
+    if (!this.canTransition(review.moderationStatus, toStatus)) {
+      throw new HttpError(
+        409,
+        `Cannot move a review from ${review.moderationStatus.toLowerCase()} to ${toStatus.toLowerCase()}`
+      );
+    }
+
+    const resolvesReports = toStatus !== "PENDING";
+
+    const result = await prisma.$transaction(async (tx) => {
+      const updated = await tx.review.update({
+        where: { id: review.id },
+        data: {
+          moderationStatus: toStatus,
+          rejectionReason,
+          moderationNote: note || null,
+          moderatedAt: new Date(),
+          moderatedBy: actor || null,
+          ...(resolvesReports && { reportCount: 0 }),
+        },
+      });
+      if (resolvesReports) {
+        await tx.reviewReport.updateMany({
+          where: { reviewId: review.id, resolvedAt: null },
+          data: { resolvedAt: new Date(), resolvedBy: actor || null },
+        });
+      }
+      const job = await syncJobService.enqueue(
+        "review.update",
+        { reviewId: review.id },
+        tx
+      );
+      return { review: updated, job };
+    });
+
+    console.log(
+      `[Moderation] ${actor || "system"} moved review ${review.id} from ${
+        review.moderationStatus
+      } to ${toStatus}`
+    );
+    return result;
+  }
+
+  /**
+   * Approve every pending review, oldest first
+   */
+  async approveAllPending(actor) {
+    const pending = await prisma.review.findMany({
+      where: { moderationStatus: "PENDING" },
+      orderBy: { createdAt: "asc" },
+      select: { id: true },
+    });
+
+    const results = [];
+    for (const { id } of pending) {
+      try {
+        await this.transition(id, "APPROVED", { actor });
+        results.push({ id, success: true });
+      } catch (error) {
+        console.error(`Failed to approve review ${id}:`, error);
+        results.push({ id, success: false, error: error.message });
+      }
+    }
+
+    return {
+      totalProcessed: pending.length,
+      successful: results.filter((r) => r.success).length,
+      failed: results.filter((r) => !r.success).length,
+      results,
+    };
+  }
+}
+
+module.exports = new ModerationService();
@@ -0,0 +1,330 @@
+const prisma = require("./prismaService");
+const shopifyService = require("./shopifyService");
+const syncJobService = require("./syncJobService");
+const reconcileService = require("./reconcileService");
+const {
+  ANONYMOUS_AUTHOR,
+  toAdminReview,
+} = require("../serializers/reviewSerializer");
+const config = require("../config");
+
+function toOrderGid(orderId) {
+  return `gid://shopify/Order/${orderId}`;
+}
+
+// Reviews written with the customer's email or verified by one of their orders
+function customerReviewsWhere(email, orderGids) {
+  const conditions = [];
+  if (email) {
+    conditions.push({ authorEmail: { equals: email, mode: "insensitive" } });
+  }
+  if (orderGids.length > 0) {
+    conditions.push({ verifiedOrderId: { in: orderGids } });
+  }
+  return { OR: conditions };
+}
+
+// File list fields of a metaobject; unreadable values hold no file we can find
+function parseFileList(value) {
+  try {
+    const parsed = JSON.parse(value || "[]");
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+// A review that only exists as a metaobject: its author's email and the
+// uploaded files it references
+function toLegacyReview(node) {
+  const fields = Object.fromEntries(
+    node.fields.map((field) => [field.key, field.value])
+  );
+  return {
+    id: node.id,
+    productId: fields.product_id || null,
+    authorEmail: fields.author_email ? fields.author_email.toLowerCase() : null,
+    // image and video are also in media
+    fileIds: [
+      ...new Set([
+        fields.image,
+        fields.video,
+        fields.image_thumbnail,
+        ...parseFileList(fields.media),
+        ...parseFileList(fields.thumbnails),
+      ]),
+    ].filter(Boolean),
+  };
+}
+
+// Metaobject fields of an anonymized legacy review, as the database reviews
+// are sent by review.update
+const REDACTED_METAOBJECT_FIELDS = {
+  author_name: ANONYMOUS_AUTHOR,
+  author_email: "",
+  image: "",
+  video: "",
+  image_thumbnail: "",
+  media: "[]",
+  thumbnails: "[]",
+};
+
+// Stored as JSON: dates become ISO strings
+function toJson(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+class PrivacyService {
+  /**
+   * Collect everything stored about a customer (customers/data_request).
+   * The export is kept as a PrivacyRequest for the shop owner to hand over.
+   */
+  async exportCustomerData({
+    customerId,
+    email,
+    orderIds = [],
+    dataRequestId,
+  }) {
+    const orderGids = orderIds.map(toOrderGid);
+    const address = email ? email.toLowerCase() : null;
+
+    const reviews =
+      address || orderGids.length > 0
+        ? await prisma.review.findMany({
+            where: customerReviewsWhere(address, orderGids),
+            include: { media: true, reply: true },
+          })
+        : [];
+    const reviewRequests = address
+      ? await prisma.reviewRequest.findMany({
+          where: { email: address },
+          include: { emailLogs: true },
+        })
+      : [];
+    const unsubscribe = address
+      ? await prisma.emailUnsubscribe.findUnique({ where: { email: address } })
+      : null;
+
+    const request = await prisma.privacyRequest.create({
+      data: {
+        topic: "customers/data_request",
+        shopifyCustomerId: customerId ? String(customerId) : null,
+        dataRequestId: dataRequestId ? String(dataRequestId) : null,
+        result: toJson({
+          email: address,
+          reviews: reviews.map(toAdminReview),
+          reviewRequests,
+          unsubscribedAt: unsubscribe ? unsubscribe.createdAt : null,
+        }),
+      },
+    });
+    console.log(
+      `[Privacy] Exported data of customer ${customerId}: ${reviews.length} review(s), ${reviewRequests.length} review request(s)`
+    );
+    return request;
+  }
+
+  /**
+   * Erase a customer's personal data (customers/redact). Their reviews stay
+   * published under an anonymous author name, without email, order or
+   * photos; the metaobjects follow through review.update jobs and the
+   * uploaded files are deleted from Shopify. Reviews created before the
+   * database only exist as metaobjects: those carrying the customer's email
+   * are anonymized the same way. Review request emails, their logs and the
+   * unsubscribe entry are deleted.
+   */
+  async redactCustomer({ customerId, email, orderIds = [] }) {
+    const orderGids = orderIds.map(toOrderGid);
+    const address = email ? email.toLowerCase() : null;
+    if (!address && orderGids.length === 0) {
+      return null;
+    }
+
+    // Walks every metaobject, so it is read before the transaction
+    const legacyReviews = address
+      ? (
+          await reconcileService.loadMetaobjectsWithoutDbRow(toLegacyReview)
+        ).filter((review) => review.authorEmail === address)
+      : [];
+
+    const result = await prisma.$transaction(async (tx) => {
+      const reviews = await tx.review.findMany({
+        where: customerReviewsWhere(address, orderGids),
+        include: { media: true },
+      });
+
+      const fileIds = [];
+      for (const review of reviews) {
+        review.media.forEach((media) => {
+          fileIds.push(
+            ...[media.fileId, media.thumbnailFileId].filter(Boolean)
+          );
+        });
+        await tx.reviewMedia.deleteMany({ where: { reviewId: review.id } });
+        await tx.review.update({
+          where: { id: review.id },
+          data: {
+            authorName: ANONYMOUS_AUTHOR,
+            authorEmail: null,
+            verifiedOrderId: null,
+            reviewRequestId: null,
+            imageFileId: null,
+            videoFileId: null,
+            imageUrl: null,
+            mediaFileIds: [],
+            thumbnailFileIds: [],
+          },
+        });
+        // Not in Shopify yet: the review.create job sends the anonymized review
+        if (review.shopifyMetaobjectId) {
+          await syncJobService.enqueue(
+            "review.update",
+            { reviewId: review.id },
+            tx
+          );
+        }
+      }
+      for (const legacyReview of legacyReviews) {
+        fileIds.push(...legacyReview.fileIds);
+        await syncJobService.enqueue(
+          "review.update",
+          {
+            payload: {
+              metaobjectId: legacyReview.id,
+              productId: legacyReview.productId,
+              fields: REDACTED_METAOBJECT_FIELDS,
+            },
+          },
+          tx
+        );
+      }
+      if (fileIds.length > 0) {
+        await syncJobService.enqueue(
+          "files.delete",
+          { payload: { fileIds } },
+          tx
+        );
+      }
+
+      const requestWhere = {
+        OR: [
+          ...(address ? [{ email: address }] : []),
+          { shopifyOrderId: { in: orderGids } },
+        ],
+      };
+      const requests = await tx.reviewRequest.findMany({
+        where: requestWhere,
+        select: { id: true },
+      });
+      const emailLogs = await tx.emailLog.deleteMany({
+        where: {
+          OR: [
+            ...(address ? [{ to: address }] : []),
+            { reviewRequestId: { in: requests.map((r) => r.id) } },
+          ],
+        },
+      });
+      await tx.reviewRequest.deleteMany({ where: requestWhere });
+      if (address) {
+        await tx.emailUnsubscribe.deleteMany({ where: { email: address } });
+      }
+
+      const counts = {
+        reviews: reviews.length,
+        legacyReviews: legacyReviews.length,
+        files: fileIds.length,
+        reviewRequests: requests.length,
+        emailLogs: emailLogs.count,
+      };
+      await tx.privacyRequest.create({
+        data: {
+          topic: "customers/redact",
+          shopifyCustomerId: customerId ? String(customerId) : null,
+          result: counts,
+        },
+      });
+      return counts;
+    });
+
+    console.log(
+      `[Privacy] Redacted customer ${customerId}: ${result.reviews} review(s), ${result.legacyReviews} metaobject-only review(s), ${result.files} file(s), ${result.reviewRequests} review request(s)`
+    );
+    return result;
+  }
+
+  /**
+   * Erase the shop's data (shop/redact, sent 48 hours after the app is
+   * uninstalled). The app has lost access to the shop by then, so only the
+   * database is cleared: reviews with their media, review requests, email
+   * logs, unsubscribes, data exports and stored webhook payloads.
+   */
+  async redactShop({ shopDomain }) {
+    if (shopDomain !== config.shopify.storeDomain) {
+      console.warn(`[Privacy] Ignoring shop/redact for ${shopDomain}`);
+      return null;
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+      const reviews = await tx.review.deleteMany({});
+      const reviewRequests = await tx.reviewRequest.deleteMany({});
+      const emailLogs = await tx.emailLog.deleteMany({});
+      await tx.emailUnsubscribe.deleteMany({});
+      await tx.privacyRequest.deleteMany({});
+      await tx.webhookDelivery.updateMany({ data: { payload: {} } });
+
+      const counts = {
+        reviews: reviews.count,
+        reviewRequests: reviewRequests.count,
+        emailLogs: emailLogs.count,
+      };
+      await tx.privacyRequest.create({
+        data: { topic: "shop/redact", result: counts },
+      });
+      return counts;
+    });
+
+    console.log(
+      `[Privacy] Redacted shop ${shopDomain}: ${result.reviews} review(s), ${result.reviewRequests} review request(s)`
+    );
+    return result;
+  }
+
+  /**
+   * Delete uploaded files from Shopify, one at a time so a retry skips the
+   * ones already gone
+   */
+  async deleteFiles(fileIds) {
+    for (const fileId of fileIds) {
+      try {
+        await shopifyService.deleteFiles([fileId]);
+      } catch (error) {
+        if (!/not (be )?found|does not exist/i.test(error.message)) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * Privacy requests, newest first, without their results
+   */
+  async listRequests({ limit = 50 } = {}) {
+    return prisma.privacyRequest.findMany({
+      orderBy: { createdAt: "desc" },
+      take: limit,
+      select: {
+        id: true,
+        topic: true,
+        shopifyCustomerId: true,
+        dataRequestId: true,
+        createdAt: true,
+      },
+    });
+  }
+
+  async getRequest(requestId) {
+    return prisma.privacyRequest.findUnique({ where: { id: requestId } });
+  }
+}
+
+module.exports = new PrivacyService();
@@ -0,0 +1,31 @@
+const cacheService = require("./cacheService");
+const ratingSummaryService = require("./ratingSummaryService");
+
+class ProductChangeService {
+  /**
+   * A product's reviews changed in Shopify (review linked, edited, moderated
+   * or removed): drop its cached responses and queue a refresh of its rating
+   * metafields
+   */
+  async productReviewsChanged(productId) {
+    if (!productId) {
+      return;
+    }
+    await cacheService.invalidateProduct(productId);
+    await ratingSummaryService.scheduleRefresh(productId);
+  }
+
+  /**
+   * Same as productReviewsChanged, for the product a metaobject belongs to
+   * (read from its product_id field)
+   */
+  async metaobjectChanged(metaobject) {
+    const field =
+      metaobject &&
+      metaobject.fields &&
+      metaobject.fields.find((f) => f.key === "product_id");
+    await this.productReviewsChanged(field && field.value);
+  }
+}
+
+module.exports = new ProductChangeService();
@@ -0,0 +1,97 @@
+const shopifyService = require("./shopifyService");
+const statsService = require("./statsService");
+const syncJobService = require("./syncJobService");
+const config = require("../config");
+
+/**
+ * Product metafields carrying the aggregate rating:
+ * - reviews.rating / reviews.rating_count, Shopify's standard definitions read
+ *   by themes and Google Shopping
+ * - custom.review_summary, our fit and recommendation summary
+ */
+function toSummaryMetafields(productGid, stats) {
+  const summary = {
+    averageRating: stats.averageRating,
+    totalReviews: stats.totalReviews,
+    ratingDistribution: stats.ratingDistribution,
+    averageFitRating: stats.averageFitRating,
+    fitDistribution: stats.fitDistribution,
+    fitVerdict: stats.fitVerdict,
+    recommendationRate: stats.recommendationRate,
+    verifiedBuyers: stats.verifiedBuyers,
+    updatedAt: new Date().toISOString(),
+  };
+
+  const metafields = [
+    {
+      ownerId: productGid,
+      namespace: "reviews",
+      key: "rating_count",
+      type: "number_integer",
+      value: stats.totalReviews.toString(),
+    },
+    {
+      ownerId: productGid,
+      namespace: "custom",
+      key: "review_summary",
+      type: "json",
+      value: JSON.stringify(summary),
+    },
+  ];
+
+  // A rating must lie within its scale, so a product without reviews has none
+  if (stats.totalReviews > 0) {
+    metafields.push({
+      ownerId: productGid,
+      namespace: "reviews",
+      key: "rating",
+      type: "rating",
+      value: JSON.stringify({
+        value: stats.averageRating.toFixed(1),
+        scale_min: "1.0",
+        scale_max: "5.0",
+      }),
+    });
+  }
+
+  return metafields;
+}
+
+class RatingSummaryService {
+  /**
+   * Queue a refresh of a product's rating metafields. Refreshes are delayed a
+   * little and deduplicated, so a burst of moderation results in one write.
+   */
+  async scheduleRefresh(productId) {
+    return syncJobService.enqueueOnce("product.summary", {
+      payload: { productId: productId.toString() },
+      runAt: new Date(Date.now() + config.sync.summaryDelayMs),
+    });
+  }
+
+  /**
+   * Recompute a product's stats from its approved reviews in Shopify and
+   * write them to the product's rating metafields
+   */
+  async refreshProduct(productId) {
+    const reviews = await shopifyService.getProductReviews(productId);
+    const stats = statsService.computeReviewStats(
+      reviews.filter((review) => review.isApproved)
+    );
+
+    const productGid = `gid://shopify/Product/${productId}`;
+    await shopifyService.setMetafields(toSummaryMetafields(productGid, stats));
+    if (stats.totalReviews === 0) {
+      await shopifyService.deleteMetafields([
+        { ownerId: productGid, namespace: "reviews", key: "rating" },
+      ]);
+    }
+
+    console.log(
+      `[RatingSummary] Product ${productId}: ${stats.averageRating} from ${stats.totalReviews} reviews`
+    );
+    return stats;
+  }
+}
+
+module.exports = new RatingSummaryService();
@@ -0,0 +1,280 @@
+const prisma = require("./prismaService");
+const shopifyService = require("./shopifyService");
+const syncJobService = require("./syncJobService");
+const productChangeService = require("./productChangeService");
+
+function fieldValue(node, key) {
+  const field = node.fields.find((f) => f.key === key);
+  return field ? field.value : null;
+}
+
+function parseRatingsList(value) {
+  if (!value) {
+    return [];
+  }
+  const parsed = JSON.parse(value);
+  return Array.isArray(parsed) ? parsed : [parsed];
+}
+
+function toMetaobjectSummary(node) {
+  return {
+    id: node.id,
+    handle: node.handle,
+    productId: fieldValue(node, "product_id"),
+  };
+}
+
+class ReconcileService {
+  /**
+   * Walk every product_rating metaobject, keyed by ID. `toEntry` picks what
+   * is kept of each node.
+   */
+  async loadMetaobjects(toEntry = toMetaobjectSummary) {
+    const metaobjects = new Map();
+    let after = null;
+    do {
+      const page = await shopifyService.getAllProductRatings(250, after);
+      page.edges.forEach(({ node }) => {
+        metaobjects.set(node.id, toEntry(node));
+      });
+      after = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+    } while (after);
+    return metaobjects;
+  }
+
+  /**
+   * product_rating metaobjects with no database row behind them, e.g. created
+   * before the database existed. `toEntry` as for loadMetaobjects.
+   */
+  async loadMetaobjectsWithoutDbRow(toEntry) {
+    const [metaobjects, reviews] = await Promise.all([
+      this.loadMetaobjects(toEntry),
+      prisma.review.findMany({
+        where: { shopifyMetaobjectId: { not: null } },
+        select: { shopifyMetaobjectId: true },
+      }),
+    ]);
+    const known = new Set(reviews.map((review) => review.shopifyMetaobjectId));
+    return [...metaobjects.values()].filter(
+      (metaobject) => !known.has(metaobject.id)
+    );
+  }
+
+  /**
+   * Walk every product and its custom.ratings list
+   */
+  async loadProductReferences() {
+    const references = new Map();
+    let after = null;
+    do {
+      const page = await shopifyService.getProductsWithRatings(100, after);
+      page.edges.forEach(({ node }) => {
+        if (!node.metafield) {
+          return;
+        }
+        try {
+          references.set(
+            node.legacyResourceId,
+            parseRatingsList(node.metafield.value)
+          );
+        } catch (error) {
+          console.error(
+            `[Reconcile] Unreadable custom.ratings on product ${node.legacyResourceId}`
+          );
+        }
+      });
+      after = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+    } while (after);
+    return references;
+  }
+
+  /**
+   * Compare the database, the product_rating metaobjects and every product's
+   * custom.ratings list. With `repair`, also fix what can be fixed:
+   * - orphaned metaobjects are linked to the product in their product_id field
+   * - dangling references are removed from the product's list
+   * - database rows without a metaobject are queued for a fresh sync
+   */
+  async run({ repair = false } = {}) {
+    const startedAt = new Date();
+    console.log(`[Reconcile] Starting${repair ? " in repair mode" : ""}`);
+
+    const [metaobjects, productReferences, reviews, syncingReviewIds] =
+      await Promise.all([
+        this.loadMetaobjects(),
+        this.loadProductReferences(),
+        prisma.review.findMany({
+          select: {
+            id: true,
+            shopifyProductId: true,
+            shopifyMetaobjectId: true,
+          },
+        }),
+        syncJobService.listActiveReviewIds("review.create"),
+      ]);
+
+    const reviewsByMetaobject = new Map(
+      reviews
+        .filter((review) => review.shopifyMetaobjectId)
+        .map((review) => [review.shopifyMetaobjectId, review])
+    );
+    const referencedIds = new Set();
+    productReferences.forEach((ids) =>
+      ids.forEach((id) => referencedIds.add(id))
+    );
+
+    // Metaobjects that no product lists
+    const orphanedMetaobjects = [];
+    metaobjects.forEach((metaobject) => {
+      if (referencedIds.has(metaobject.id)) {
+        return;
+      }
+      const review = reviewsByMetaobject.get(metaobject.id);
+      orphanedMetaobjects.push({
+        ...metaobject,
+        reviewId: review ? review.id : null,
+        syncInProgress: review ? syncingReviewIds.has(review.id) : false,
+      });
+    });
+
+    // Product list entries pointing at metaobjects that no longer exist
+    const danglingReferences = [];
+    productReferences.forEach((ids, productId) => {
+      ids
+        .filter((id) => !metaobjects.has(id))
+        .forEach((metaobjectId) =>
+          danglingReferences.push({ productId, metaobjectId })
+        );
+    });
+
+    // Database rows with no metaobject behind them
+    const dbRowsWithoutShopify = [];
+    reviews.forEach((review) => {
+      let reason = null;
+      if (!review.shopifyMetaobjectId) {
+        reason = "never_synced";
+      } else if (!metaobjects.has(review.shopifyMetaobjectId)) {
+        reason = "metaobject_missing";
+      }
+      if (reason) {
+        dbRowsWithoutShopify.push({
+          reviewId: review.id,
+          productId: review.shopifyProductId.toString(),
+          shopifyMetaobjectId: review.shopifyMetaobjectId,
+          reason,
+          syncInProgress: syncingReviewIds.has(review.id),
+        });
+      }
+    });
+
+    // Metaobjects created outside this backend (e.g. before the database existed)
+    const metaobjectsWithoutDbRow = [...metaobjects.values()]
+      .filter((metaobject) => !reviewsByMetaobject.has(metaobject.id))
+      .map((metaobject) => metaobject.id);
+
+    const report = {
+      startedAt,
+      finishedAt: null,
+      repair,
+      totals: {
+        metaobjects: metaobjects.size,
+        productsWithRatings: productReferences.size,
+        databaseRows: reviews.length,
+      },
+      orphanedMetaobjects,
+      danglingReferences,
+      dbRowsWithoutShopify,
+      metaobjectsWithoutDbRow,
+      repairs: [],
+    };
+
+    if (repair) {
+      report.repairs = await this.repair(report);
+    }
+
+    report.finishedAt = new Date();
+    console.log("[Reconcile] Finished:", {
+      orphanedMetaobjects: orphanedMetaobjects.length,
+      danglingReferences: danglingReferences.length,
+      dbRowsWithoutShopify: dbRowsWithoutShopify.length,
+      repairs: report.repairs.length,
+    });
+    return report;
+  }
+
+  async repair(report) {
+    const repairs = [];
+    const attempt = async (action, target, fn) => {
+      try {
+        await fn();
+        repairs.push({ action, target, success: true });
+      } catch (error) {
+        console.error(`[Reconcile] ${action} failed for ${target}:`, error);
+        repairs.push({ action, target, success: false, error: error.message });
+      }
+    };
+
+    for (const orphan of report.orphanedMetaobjects) {
+      // The sync worker will link it itself
+      if (orphan.syncInProgress) {
+        continue;
+      }
+      if (!orphan.productId) {
+        repairs.push({
+          action: "link_orphan",
+          target: orphan.id,
+          success: false,
+          error: "Metaobject has no product_id field",
+        });
+        continue;
+      }
+      await attempt("link_orphan", orphan.id, async () => {
+        await shopifyService.linkRatingToProduct(orphan.productId, orphan.id);
+        await productChangeService.productReviewsChanged(orphan.productId);
+        if (orphan.reviewId) {
+          await prisma.review.update({
+            where: { id: orphan.reviewId },
+            data: { linkedToProductAt: new Date() },
+          });
+        }
+      });
+    }
+
+    for (const dangling of report.danglingReferences) {
+      await attempt(
+        "remove_dangling_reference",
+        dangling.metaobjectId,
+        async () => {
+          await shopifyService.unlinkRatingFromProduct(
+            dangling.productId,
+            dangling.metaobjectId
+          );
+          await productChangeService.productReviewsChanged(dangling.productId);
+        }
+      );
+    }
+
+    for (const row of report.dbRowsWithoutShopify) {
+      if (row.syncInProgress) {
+        continue;
+      }
+      await attempt("resync_review", row.reviewId, () =>
+        prisma.$transaction(async (tx) => {
+          await tx.review.update({
+            where: { id: row.reviewId },
+            data: { shopifyMetaobjectId: null, linkedToProductAt: null },
+          });
+          await syncJobService.enqueue(
+            "review.create",
+            { reviewId: row.reviewId },
+            tx
+          );
+        })
+      );
+    }
+
+    return repairs;
+  }
+}
+
+module.exports = new ReconcileService();
@@ -0,0 +1,108 @@
+const prisma = require("./prismaService");
+const reviewService = require("./reviewService");
+const syncJobService = require("./syncJobService");
+const HttpError = require("../utils/httpError");
+
+function isUniqueViolation(error) {
+  return error && error.code === "P2002";
+}
+
+class ReplyService {
+  async findReview(ratingId) {
+    const review = await reviewService.findByRatingId(ratingId);
+    if (!review) {
+      throw new HttpError(404, "Review not found");
+    }
+    return review;
+  }
+
+  /**
+   * Add the merchant reply to a review and queue the review.reply job that
+   * writes it to the metaobject. A review has at most one reply.
+   * Returns { review, reply, job }.
+   */
+  async createReply(ratingId, { body, authorName, status }, actor) {
+    const review = await this.findReview(ratingId);
+    if (review.reply) {
+      throw new HttpError(409, "Review already has a reply");
+    }
+
+    try {
+      return await prisma.$transaction(async (tx) => {
+        const reply = await tx.reviewReply.create({
+          data: {
+            reviewId: review.id,
+            body,
+            authorName: authorName || actor,
+            moderationStatus: status,
+            createdBy: actor,
+            updatedBy: actor,
+          },
+        });
+        const job = await syncJobService.enqueue(
+          "review.reply",
+          { reviewId: review.id },
+          tx
+        );
+        return { review, reply, job };
+      });
+    } catch (error) {
+      if (isUniqueViolation(error)) {
+        throw new HttpError(409, "Review already has a reply");
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Edit a review's merchant reply (body, author name or status).
+   * Returns { review, reply, job }.
+   */
+  async updateReply(ratingId, changes, actor) {
+    const review = await this.findReview(ratingId);
+    if (!review.reply) {
+      throw new HttpError(404, "Review has no reply");
+    }
+
+    const { status, ...fields } = changes;
+
+    return prisma.$transaction(async (tx) => {
+      const reply = await tx.reviewReply.update({
+        where: { reviewId: review.id },
+        data: {
+          ...fields,
+          ...(status && { moderationStatus: status }),
+          updatedBy: actor,
+        },
+      });
+      const job = await syncJobService.enqueue(
+        "review.reply",
+        { reviewId: review.id },
+        tx
+      );
+      return { review, reply, job };
+    });
+  }
+
+  /**
+   * Remove a review's merchant reply. Returns { review, job }.
+   */
+  async deleteReply(ratingId) {
+    const review = await this.findReview(ratingId);
+    if (!review.reply) {
+      throw new HttpError(404, "Review has no reply");
+    }
+
+    return prisma.$transaction(async (tx) => {
+      await tx.reviewReply.delete({ where: { reviewId: review.id } });
+      const job = await syncJobService.enqueue(
+        "review.reply",
+        { reviewId: review.id },
+        tx
+      );
+      return { review, job };
+    });
+  }
+}
+
+module.exports = new ReplyService();
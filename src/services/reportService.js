@@ -0,0 +1,124 @@
+const prisma = require("./prismaService");
+const reviewService = require("./reviewService");
+const moderationService = require("./moderationService");
+const HttpError = require("../utils/httpError");
+const { hashVisitorToken, hashClientIp } = require("../utils/visitorHash");
+const config = require("../config");
+
+function isUniqueViolation(error) {
+  return error && error.code === "P2002";
+}
+
+class ReportService {
+  /**
+   * Record a visitor's ({ token, ip }) report of an approved review, once per
+   * visitor and review. When the review's open reports come from at least
+   * `threshold` different IPs it goes back to the moderation queue, unless
+   * automatic requeueing is turned off.
+   * Returns { review, created, requeued }.
+   */
+  async report(ratingId, visitor, { reason, comment }) {
+    const review = await reviewService.findByRatingId(ratingId);
+    if (!review || review.moderationStatus !== "APPROVED") {
+      throw new HttpError(404, "Review not found");
+    }
+
+    let updated;
+    try {
+      updated = await prisma.$transaction(async (tx) => {
+        await tx.reviewReport.create({
+          data: {
+            reviewId: review.id,
+            reporterHash: hashVisitorToken(visitor.token),
+            ipHash: hashClientIp(visitor.ip),
+            reason,
+            comment: comment || null,
+          },
+        });
+        return tx.review.update({
+          where: { id: review.id },
+          data: { reportCount: { increment: 1 } },
+        });
+      });
+    } catch (error) {
+      if (isUniqueViolation(error)) {
+        return { review, created: false, requeued: false };
+      }
+      throw error;
+    }
+
+    console.log(
+      `[Reports] Review ${review.id} reported (${reason}), ${updated.reportCount} open`
+    );
+
+    const requeued =
+      config.reports.autoRequeue &&
+      updated.reportCount >= config.reports.threshold &&
+      (await this.countReportingIps(review.id)) >= config.reports.threshold &&
+      (await this.requeue(updated));
+    return { review: updated, created: true, requeued };
+  }
+
+  /**
+   * Number of different IPs behind a review's open reports. Reports stored
+   * without an IP count as one each.
+   */
+  async countReportingIps(reviewId) {
+    const reports = await prisma.reviewReport.findMany({
+      where: { reviewId, resolvedAt: null },
+      select: { id: true, ipHash: true },
+    });
+    return new Set(reports.map((report) => report.ipHash || report.id)).size;
+  }
+
+  /**
+   * Send a reported review back to the moderation queue. Returns false if it
+   * already left the approved state, e.g. a concurrent report moved it first.
+   */
+  async requeue(review) {
+    try {
+      await moderationService.transition(review.id, "PENDING", {
+        note: `Returned to the queue after ${review.reportCount} reports`,
+        actor: "reports",
+      });
+      return true;
+    } catch (error) {
+      if (error.status !== 409) {
+        // The report is stored, the next one retries
+        console.error(`Failed to requeue reported review ${review.id}:`, error);
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Reviews with open reports, most reported first, each with its open
+   * reports. Paginated by review ID cursor.
+   */
+  async listReported({ limit = 50, cursor } = {}) {
+    const where = { reportCount: { gt: 0 } };
+    const reviews = await prisma.review.findMany({
+      where,
+      orderBy: [{ reportCount: "desc" }, { id: "asc" }],
+      take: limit + 1,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+      include: {
+        reports: {
+          where: { resolvedAt: null },
+          orderBy: { createdAt: "asc" },
+        },
+      },
+    });
+
+    const hasNextPage = reviews.length > limit;
+    const page = hasNextPage ? reviews.slice(0, limit) : reviews;
+
+    return {
+      reviews: page,
+      total: await prisma.review.count({ where }),
+      nextCursor: hasNextPage ? page[page.length - 1].id : null,
+    };
+  }
+}
+
+module.exports = new ReportService();
@@ -0,0 +1,129 @@
+const HttpError = require("../utils/httpError");
+const { DEFAULT_REVIEW_SORT } = require("../constants/reviewQuery");
+
+function hasMedia(review) {
+  return Boolean(
+    review.image || review.video || (review.media && review.media.length > 0)
+  );
+}
+
+function createdAtValue(review) {
+  return Date.parse(review.createdAt) || 0;
+}
+
+const newest = { value: createdAtValue, direction: -1 };
+
+/**
+ * Sort keys per sort order, most significant first. The review ID is always
+ * the final tie-breaker so every review has a unique position for cursors.
+ */
+const SORT_KEYS = {
+  newest: [newest],
+  oldest: [{ value: createdAtValue, direction: 1 }],
+  highest: [{ value: (review) => review.rating, direction: -1 }, newest],
+  lowest: [{ value: (review) => review.rating, direction: 1 }, newest],
+  most_helpful: [
+    { value: (review) => review.helpfulCount || 0, direction: -1 },
+    { value: (review) => review.notHelpfulCount || 0, direction: 1 },
+    newest,
+  ],
+  media_first: [
+    { value: (review) => (hasMedia(review) ? 1 : 0), direction: -1 },
+    newest,
+  ],
+};
+
+function sortValues(review, keys) {
+  return [...keys.map((key) => key.value(review)), review.id];
+}
+
+function compareValues(a, b, keys) {
+  for (let i = 0; i < keys.length; i++) {
+    if (a[i] !== b[i]) {
+      return (a[i] < b[i] ? -1 : 1) * keys[i].direction;
+    }
+  }
+  const id = keys.length;
+  return a[id] === b[id] ? 0 : a[id] < b[id] ? -1 : 1;
+}
+
+// Cursors are opaque to clients: the sort order and sort values of the last
+// review on the page
+function encodeCursor(sort, values) {
+  return Buffer.from(JSON.stringify({ sort, values })).toString("base64url");
+}
+
+function decodeCursor(cursor, sort) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (decoded.sort === sort && Array.isArray(decoded.values)) {
+      return decoded.values;
+    }
+  } catch (error) {
+    // Falls through to the error below
+  }
+  throw new HttpError(400, "Invalid cursor for this sort order");
+}
+
+const FILTERS = {
+  rating: (review, ratings) => ratings.includes(review.rating),
+  verified: (review, verified) => review.isVerifiedBuyer === verified,
+  hasMedia: (review, wanted) => hasMedia(review) === wanted,
+  size: (review, sizes) =>
+    sizes.includes((review.sizePurchased || "").toLowerCase()),
+  ageRange: (review, ranges) =>
+    ranges.includes((review.ageRange || "").toLowerCase()),
+  fitRating: (review, fitRatings) => fitRatings.includes(review.fitRating),
+};
+
+class ReviewQueryService {
+  /**
+   * Filter, sort and paginate a product's reviews. Filters take lists of
+   * accepted values (sizes and age ranges compared case-insensitively) or
+   * booleans. Returns the page and the total count for the active filters.
+   */
+  query(
+    reviews,
+    { sort = DEFAULT_REVIEW_SORT, filters = {}, limit, cursor } = {}
+  ) {
+    const activeFilters = Object.entries(filters).filter(
+      ([, value]) => value !== undefined
+    );
+    const matching = reviews.filter((review) =>
+      activeFilters.every(([name, value]) => FILTERS[name](review, value))
+    );
+
+    const keys = SORT_KEYS[sort];
+    const sorted = matching
+      .map((review) => ({ review, values: sortValues(review, keys) }))
+      .sort((a, b) => compareValues(a.values, b.values, keys));
+
+    let start = 0;
+    if (cursor) {
+      const after = decodeCursor(cursor, sort);
+      start = sorted.findIndex(
+        (entry) => compareValues(entry.values, after, keys) > 0
+      );
+      if (start === -1) {
+        start = sorted.length;
+      }
+    }
+
+    const page = sorted.slice(start, start + limit);
+    const hasNextPage = start + limit < sorted.length;
+
+    return {
+      reviews: page.map((entry) => entry.review),
+      pagination: {
+        totalCount: sorted.length,
+        limit,
+        hasNextPage,
+        nextCursor: hasNextPage
+          ? encodeCursor(sort, page[page.length - 1].values)
+          : null,
+      },
+    };
+  }
+}
+
+module.exports = new ReviewQueryService();
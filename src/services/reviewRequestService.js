@@ -0,0 +1,466 @@
+const prisma = require("./prismaService");
+const shopifyService = require("./shopifyService");
+const syncJobService = require("./syncJobService");
+const mailService = require("./mailService");
+const HttpError = require("../utils/httpError");
+const {
+  issueRequestToken,
+  readRequestToken,
+  issueUnsubscribeToken,
+} = require("../utils/reviewRequestToken");
+const { renderReviewRequestEmail } = require("../templates/reviewRequestEmail");
+const config = require("../config");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TEMPLATE = "review_request";
+
+function isUniqueViolation(error) {
+  return error && error.code === "P2002";
+}
+
+function unsubscribeUrlFor(email) {
+  return `${
+    config.reviewRequests.publicUrl
+  }/api/review-requests/unsubscribe?token=${encodeURIComponent(
+    issueUnsubscribeToken(email)
+  )}`;
+}
+
+function reviewUrlFor(productId, token) {
+  return config.reviewRequests.reviewUrl
+    .replace("{productId}", encodeURIComponent(productId))
+    .replace("{token}", encodeURIComponent(token));
+}
+
+/**
+ * Order from the Admin GraphQL API (see shopifyService.getFulfilledOrders)
+ * in the shape scheduleForOrder takes
+ */
+function fromGraphqlOrder(node) {
+  const products = [];
+  node.lineItems.edges.forEach(({ node: item }) => {
+    // Deleted products, and the same product bought in several sizes
+    if (
+      !item.product ||
+      products.some((p) => p.productId === item.product.legacyResourceId)
+    ) {
+      return;
+    }
+    products.push({
+      productId: item.product.legacyResourceId,
+      title: item.product.title,
+      handle: item.product.handle,
+      imageUrl: item.product.featuredImage
+        ? item.product.featuredImage.url
+        : null,
+      variantTitle: item.variantTitle || null,
+    });
+  });
+
+  const fulfilledAt = node.fulfillments
+    .map((fulfillment) => new Date(fulfillment.createdAt))
+    .reduce((latest, date) => (date > latest ? date : latest), new Date(0));
+
+  return {
+    id: node.id,
+    name: node.name,
+    email: node.email || (node.customer && node.customer.email) || null,
+    customerName: (node.customer && node.customer.firstName) || null,
+    fulfilledAt,
+    products,
+  };
+}
+
+class ReviewRequestService {
+  /**
+   * Review requests need the storefront review page and a secret to sign
+   * its links
+   */
+  isConfigured() {
+    const { enabled, secret, reviewUrl } = config.reviewRequests;
+    return Boolean(enabled && secret && reviewUrl);
+  }
+
+  async isUnsubscribed(email) {
+    const entry = await prisma.emailUnsubscribe.findUnique({
+      where: { email: email.toLowerCase() },
+    });
+    return Boolean(entry);
+  }
+
+  /**
+   * Schedule the review request email of a fulfilled order, once per order,
+   * delayDays after fulfillment.
+   * order: { id, name, email, customerName, fulfilledAt, products: [{
+   * productId, title, handle, imageUrl, variantTitle }] }
+   * Returns the request, or null when nothing was scheduled.
+   */
+  async scheduleForOrder(order) {
+    if (!this.isConfigured() || !order.email || order.products.length === 0) {
+      return null;
+    }
+
+    const existing = await prisma.reviewRequest.findUnique({
+      where: { shopifyOrderId: order.id },
+    });
+    if (existing) {
+      return existing;
+    }
+
+    const { delayDays, maxLateDays } = config.reviewRequests;
+    const sendAt = new Date(order.fulfilledAt.getTime() + delayDays * DAY_MS);
+    // Recorded but never sent, so the order is not considered again
+    const skipReason = (await this.isUnsubscribed(order.email))
+      ? "unsubscribed"
+      : sendAt.getTime() < Date.now() - maxLateDays * DAY_MS
+      ? "too_late"
+      : null;
+
+    try {
+      return await prisma.$transaction(async (tx) => {
+        const request = await tx.reviewRequest.create({
+          data: {
+            shopifyOrderId: order.id,
+            orderName: order.name || null,
+            email: order.email.toLowerCase(),
+            customerName: order.customerName || null,
+            products: order.products,
+            fulfilledAt: order.fulfilledAt,
+            sendAt,
+            ...(skipReason && { status: "SKIPPED", skipReason }),
+          },
+        });
+        if (!skipReason) {
+          await syncJobService.enqueue(
+            "review_request.send",
+            { payload: { reviewRequestId: request.id }, runAt: sendAt },
+            tx
+          );
+        }
+        console.log(
+          `[ReviewRequests] Order ${order.name || order.id}: ${
+            skipReason
+              ? `skipped (${skipReason})`
+              : `email scheduled for ${sendAt.toISOString()}`
+          }`
+        );
+        return request;
+      });
+    } catch (error) {
+      // Scheduled concurrently, e.g. by the poller and a webhook
+      if (isUniqueViolation(error)) {
+        return prisma.reviewRequest.findUnique({
+          where: { shopifyOrderId: order.id },
+        });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Send a scheduled review request email, for the products the customer has
+   * not reviewed yet. Every attempt is logged; a failed send throws so the
+   * job is retried.
+   */
+  async send(reviewRequestId) {
+    const request = await prisma.reviewRequest.findUnique({
+      where: { id: reviewRequestId },
+    });
+    if (!request || request.status !== "SCHEDULED") {
+      return;
+    }
+
+    // Sent by an earlier attempt that failed before updating the request
+    const sentLog = await prisma.emailLog.findFirst({
+      where: { reviewRequestId: request.id, status: "sent" },
+    });
+    if (sentLog) {
+      return this.markSent(request, sentLog.createdAt);
+    }
+
+    if (await this.isUnsubscribed(request.email)) {
+      return this.markSkipped(request, "unsubscribed");
+    }
+
+    const reviewed = await prisma.review.findMany({
+      where: {
+        authorEmail: { equals: request.email, mode: "insensitive" },
+        shopifyProductId: {
+          in: request.products.map((product) => BigInt(product.productId)),
+        },
+      },
+      select: { shopifyProductId: true },
+    });
+    const products = request.products.filter(
+      (product) =>
+        !reviewed.some(
+          (review) => review.shopifyProductId.toString() === product.productId
+        )
+    );
+    if (products.length === 0) {
+      return this.markSkipped(request, "already_reviewed");
+    }
+
+    const token = issueRequestToken(
+      request,
+      products.map((product) => product.productId)
+    );
+    const unsubscribeUrl = unsubscribeUrlFor(request.email);
+    const email = renderReviewRequestEmail({
+      customerName: request.customerName,
+      products: products.map((product) => ({
+        ...product,
+        reviewUrl: reviewUrlFor(product.productId, token),
+      })),
+      unsubscribeUrl,
+      shopName: config.mail.shopName,
+    });
+
+    const log = {
+      reviewRequestId: request.id,
+      template: TEMPLATE,
+      to: request.email,
+      subject: email.subject,
+    };
+
+    let messageId;
+    try {
+      ({ messageId } = await mailService.send({
+        to: request.email,
+        ...email,
+        headers: {
+          "List-Unsubscribe": `<${unsubscribeUrl}>`,
+          "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+        },
+      }));
+    } catch (error) {
+      await prisma.emailLog.create({
+        data: { ...log, status: "failed", error: error.message },
+      });
+      throw new Error(`Failed to send review request email: ${error.message}`);
+    }
+
+    await prisma.emailLog.create({
+      data: { ...log, status: "sent", messageId },
+    });
+    await this.markSent(request, new Date());
+    console.log(
+      `[ReviewRequests] Sent review request for order ${
+        request.orderName || request.shopifyOrderId
+      } (${products.length} product(s))`
+    );
+  }
+
+  async markSent(request, sentAt) {
+    return prisma.reviewRequest.update({
+      where: { id: request.id },
+      data: { status: "SENT", sentAt },
+    });
+  }
+
+  async markSkipped(request, skipReason) {
+    console.log(
+      `[ReviewRequests] Skipped review request ${request.id} (${skipReason})`
+    );
+    return prisma.reviewRequest.update({
+      where: { id: request.id },
+      data: { status: "SKIPPED", skipReason },
+    });
+  }
+
+  /**
+   * Stop review request emails to an address, including the ones already
+   * scheduled
+   */
+  async unsubscribe(email) {
+    const address = email.toLowerCase();
+
+    await prisma.$transaction([
+      prisma.emailUnsubscribe.upsert({
+        where: { email: address },
+        create: { email: address },
+        update: {},
+      }),
+      prisma.reviewRequest.updateMany({
+        where: { email: address, status: "SCHEDULED" },
+        data: { status: "SKIPPED", skipReason: "unsubscribed" },
+      }),
+    ]);
+    console.log(`[ReviewRequests] ${address} unsubscribed`);
+  }
+
+  /**
+   * Customer and products behind a review link, to pre-fill the review form
+   */
+  async getPrefill(token) {
+    const payload = readRequestToken(token);
+    if (!payload) {
+      throw new HttpError(401, "Invalid or expired review link");
+    }
+
+    const request = await prisma.reviewRequest.findUnique({
+      where: { id: payload.sub },
+    });
+    if (!request) {
+      throw new HttpError(404, "Review request not found");
+    }
+
+    return {
+      customerName: request.customerName,
+      email: request.email,
+      orderName: request.orderName,
+      products: request.products.filter((product) =>
+        payload.productIds.includes(product.productId)
+      ),
+    };
+  }
+
+  /**
+   * Check the review link a review was submitted with. A link can be used
+   * once per product, and not for a product the buyer already reviewed
+   * (409). Returns { email, orderId, requestId } of the verified purchase.
+   */
+  async verifyPurchase(token, productId) {
+    const payload = readRequestToken(token);
+    if (!payload) {
+      throw new HttpError(400, "Invalid or expired review link");
+    }
+    if (!payload.productIds.includes(String(productId))) {
+      throw new HttpError(400, "This review link is for other products");
+    }
+
+    const reviewed = await prisma.review.findFirst({
+      where: {
+        shopifyProductId: BigInt(productId),
+        OR: [
+          { reviewRequestId: payload.sub },
+          { verifiedOrderId: payload.orderId },
+          { authorEmail: { equals: payload.email, mode: "insensitive" } },
+        ],
+      },
+      select: { id: true },
+    });
+    if (reviewed) {
+      throw new HttpError(409, "This product has already been reviewed");
+    }
+
+    return {
+      email: payload.email,
+      orderId: payload.orderId,
+      requestId: payload.sub,
+    };
+  }
+
+  /**
+   * Requests still waiting to be sent that list a product
+   */
+  async findScheduledWithProduct(productId) {
+    return prisma.reviewRequest.findMany({
+      where: {
+        status: "SCHEDULED",
+        products: { array_contains: [{ productId }] },
+      },
+    });
+  }
+
+  /**
+   * Copy a product's current title, handle and image into the requests that
+   * will email it. Returns the number of requests changed.
+   */
+  async refreshProductDetails({ productId, title, handle, imageUrl }) {
+    const requests = await this.findScheduledWithProduct(productId);
+    let changed = 0;
+
+    for (const request of requests) {
+      const stale = request.products.some(
+        (product) =>
+          product.productId === productId &&
+          (product.title !== title ||
+            product.handle !== handle ||
+            product.imageUrl !== imageUrl)
+      );
+      if (!stale) {
+        continue;
+      }
+      await prisma.reviewRequest.update({
+        where: { id: request.id },
+        data: {
+          products: request.products.map((product) =>
+            product.productId === productId
+              ? { ...product, title, handle, imageUrl }
+              : product
+          ),
+        },
+      });
+      changed++;
+    }
+    return changed;
+  }
+
+  /**
+   * Drop a deleted product from the requests that would email it. A request
+   * left without products is skipped.
+   */
+  async removeProduct(productId) {
+    const requests = await this.findScheduledWithProduct(productId);
+
+    for (const request of requests) {
+      const products = request.products.filter(
+        (product) => product.productId !== productId
+      );
+      if (products.length === 0) {
+        await this.markSkipped(request, "products_deleted");
+      } else {
+        await prisma.reviewRequest.update({
+          where: { id: request.id },
+          data: { products },
+        });
+      }
+    }
+    return requests.length;
+  }
+
+  /**
+   * Review requests with their email logs, newest first
+   */
+  async listRequests({ status, limit = 50 } = {}) {
+    return prisma.reviewRequest.findMany({
+      where: status ? { status } : {},
+      orderBy: { createdAt: "desc" },
+      take: limit,
+      include: { emailLogs: { orderBy: { createdAt: "asc" } } },
+    });
+  }
+
+  /**
+   * Schedule review requests for orders fulfilled (or updated) since a date.
+   * Returns { checked, scheduled }: fulfilled orders seen, and how many of them
+   * have an email waiting to be sent.
+   */
+  async pollFulfilledOrders(since) {
+    let after = null;
+    let checked = 0;
+    let scheduled = 0;
+
+    do {
+      const page = await shopifyService.getFulfilledOrders(since, 50, after);
+
+      for (const { node } of page.edges) {
+        if (node.displayFulfillmentStatus !== "FULFILLED") {
+          continue;
+        }
+        checked++;
+        const request = await this.scheduleForOrder(fromGraphqlOrder(node));
+        if (request && request.status === "SCHEDULED") {
+          scheduled++;
+        }
+      }
+
+      after = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+    } while (after);
+
+    return { checked, scheduled };
+  }
+}
+
+module.exports = new ReviewRequestService();
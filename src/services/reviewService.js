@@ -0,0 +1,403 @@
+const prisma = require("./prismaService");
+const syncJobService = require("./syncJobService");
+const HttpError = require("../utils/httpError");
+
+// Media in the order it was submitted
+const MEDIA_ORDER = [{ position: "asc" }, { createdAt: "asc" }];
+
+// ReviewMedia row for a processed upload, waiting to be sent to Shopify
+function toMediaRow(file, position) {
+  return {
+    kind: file.kind,
+    position,
+    mimeType: file.type,
+    filename: file.name,
+    sizeBytes: file.size,
+    data: file.buffer,
+    width: file.width ?? null,
+    height: file.height ?? null,
+    ...(file.thumbnail && {
+      thumbnailMimeType: file.thumbnail.type,
+      thumbnailSizeBytes: file.thumbnail.size,
+      thumbnailData: file.thumbnail.buffer,
+    }),
+  };
+}
+
+// Review columns from validated review fields (see createReviewSchema)
+function toReviewRow(reviewData) {
+  return {
+    shopifyProductId: BigInt(reviewData.productId),
+    rating: reviewData.rating,
+    title: reviewData.title,
+    body: reviewData.body,
+    authorName: reviewData.authorName,
+    authorEmail: reviewData.authorEmail,
+    ageRange: reviewData.ageRange || null,
+    sizePurchased: reviewData.sizePurchased || null,
+    fitRating: reviewData.fitRating ?? null,
+    sizeFit: reviewData.sizeFit ?? null,
+    shippingRating: reviewData.shippingRating ?? null,
+    recommendsProduct: reviewData.recommendsProduct || false,
+    ...(reviewData.verifiedOrderId && {
+      isVerifiedBuyer: true,
+      verifiedOrderId: reviewData.verifiedOrderId,
+      verificationCheckedAt: new Date(),
+    }),
+    ...(reviewData.reviewRequestId && {
+      reviewRequestId: reviewData.reviewRequestId,
+    }),
+  };
+}
+
+class ReviewService {
+  /**
+   * Persist a newly submitted review and its media, together with the outbox
+   * job that pushes it to Shopify. The screening result sets the initial
+   * moderation state. A verifiedOrderId (from a review request link) marks
+   * the buyer as verified without looking up their orders.
+   * Returns { review, job }.
+   */
+  async createReview(reviewData, mediaFiles = [], screening = null) {
+    try {
+      return await prisma.$transaction(async (tx) => {
+        const review = await tx.review.create({
+          data: {
+            ...toReviewRow(reviewData),
+            ...(screening && {
+              moderationStatus: screening.moderationStatus,
+              rejectionReason: screening.rejectionReason,
+              screeningScore: screening.score,
+              screeningRules: screening.matchedRules,
+              ...(screening.moderationStatus !== "PENDING" && {
+                moderatedAt: new Date(),
+                moderatedBy: "screening",
+              }),
+            }),
+            media: {
+              create: mediaFiles.map(toMediaRow),
+            },
+          },
+        });
+
+        const job = await syncJobService.enqueue(
+          "review.create",
+          { reviewId: review.id },
+          tx
+        );
+
+        return { review, job };
+      });
+    } catch (error) {
+      // The same review link was used for this product by a concurrent request
+      if (error.code === "P2002") {
+        throw new HttpError(409, "This product has already been reviewed");
+      }
+      console.error("Error saving review to database:", error);
+      throw new Error(`Failed to save review: ${error.message}`);
+    }
+  }
+
+  /**
+   * Persist a review imported from another review app, keyed by its source
+   * and ID there, with its original date, moderation state and merchant
+   * reply. Its review.create job runs at `runAt`, so a large import reaches
+   * Shopify at a steady pace. Returns { review, job }.
+   */
+  async importReview(
+    reviewData,
+    mediaFiles,
+    { source, externalId, createdAt, moderationStatus, reply, runAt }
+  ) {
+    return prisma.$transaction(async (tx) => {
+      const review = await tx.review.create({
+        data: {
+          ...toReviewRow(reviewData),
+          importSource: source,
+          importExternalId: externalId,
+          createdAt,
+          moderationStatus,
+          ...(moderationStatus !== "PENDING" && {
+            moderatedAt: new Date(),
+            moderatedBy: "import",
+          }),
+          media: {
+            create: mediaFiles.map(toMediaRow),
+          },
+          ...(reply && {
+            reply: {
+              create: { ...reply, createdBy: "import" },
+            },
+          }),
+        },
+      });
+
+      const job = await syncJobService.enqueue(
+        "review.create",
+        { reviewId: review.id, runAt },
+        tx
+      );
+
+      return { review, job };
+    });
+  }
+
+  /**
+   * Reviews already imported from a source, by their IDs there
+   */
+  async findImported(source, externalIds) {
+    return prisma.review.findMany({
+      where: { importSource: source, importExternalId: { in: externalIds } },
+      select: { id: true, importExternalId: true },
+    });
+  }
+
+  /**
+   * Get a review with its media and merchant reply, or null if it does not exist
+   */
+  async getReviewWithMedia(reviewId) {
+    return prisma.review.findUnique({
+      where: { id: reviewId },
+      include: { media: { orderBy: MEDIA_ORDER }, reply: true },
+    });
+  }
+
+  /**
+   * Find a review by its database ID or its Shopify metaobject GID
+   */
+  async findByRatingId(ratingId) {
+    const where = ratingId.startsWith("gid://")
+      ? { shopifyMetaobjectId: ratingId }
+      : { id: ratingId };
+
+    return prisma.review.findUnique({
+      where,
+      include: { media: { orderBy: MEDIA_ORDER }, reply: true },
+    });
+  }
+
+  /**
+   * Reviews in a moderation state, oldest first, paginated by review ID cursor
+   */
+  async listByModerationStatus(moderationStatus, { limit = 50, cursor } = {}) {
+    const reviews = await prisma.review.findMany({
+      where: { moderationStatus },
+      orderBy: [{ createdAt: "asc" }, { id: "asc" }],
+      take: limit + 1,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+    });
+
+    const hasNextPage = reviews.length > limit;
+    const page = hasNextPage ? reviews.slice(0, limit) : reviews;
+
+    return {
+      reviews: page,
+      total: await prisma.review.count({ where: { moderationStatus } }),
+      nextCursor: hasNextPage ? page[page.length - 1].id : null,
+    };
+  }
+
+  /**
+   * Apply changes to a stored review and queue a review.update job for Shopify.
+   * Returns { review, job }.
+   */
+  async updateReview(reviewId, changes) {
+    return prisma.$transaction(async (tx) => {
+      const review = await tx.review.update({
+        where: { id: reviewId },
+        data: changes,
+      });
+      const job = await syncJobService.enqueue(
+        "review.update",
+        { reviewId },
+        tx
+      );
+      return { review, job };
+    });
+  }
+
+  /**
+   * Apply an edit made by the review's author: content changes, media removed
+   * and media added after the existing items. The edit was screened again and
+   * sends the review back to moderation (or straight to rejected / spam when
+   * screening rejects it). Queues a review.update job. Returns { review, job }.
+   */
+  async editReview(
+    review,
+    changes,
+    { addFiles = [], removeMediaIds = [], screening }
+  ) {
+    const lastPosition = review.media.reduce(
+      (max, media) => Math.max(max, media.position),
+      -1
+    );
+    const rejected = screening.decision === "reject";
+
+    return prisma.$transaction(async (tx) => {
+      if (removeMediaIds.length > 0) {
+        await tx.reviewMedia.deleteMany({
+          where: { reviewId: review.id, id: { in: removeMediaIds } },
+        });
+      }
+
+      const updated = await tx.review.update({
+        where: { id: review.id },
+        data: {
+          ...changes,
+          moderationStatus: rejected ? screening.moderationStatus : "PENDING",
+          rejectionReason: screening.rejectionReason,
+          screeningScore: screening.score,
+          screeningRules: screening.matchedRules,
+          moderationNote: null,
+          moderatedAt: rejected ? new Date() : null,
+          moderatedBy: rejected ? "screening" : null,
+          editedAt: new Date(),
+          media: {
+            create: addFiles.map((file, index) =>
+              toMediaRow(file, lastPosition + 1 + index)
+            ),
+          },
+        },
+      });
+      const job = await syncJobService.enqueue(
+        "review.update",
+        { reviewId: review.id },
+        tx
+      );
+      return { review: updated, job };
+    });
+  }
+
+  /**
+   * Delete a stored review and queue removal of its metaobject.
+   * Returns the review.delete job, or null if it never reached Shopify.
+   */
+  async deleteReview(review) {
+    return prisma.$transaction(async (tx) => {
+      await tx.review.delete({ where: { id: review.id } });
+
+      if (!review.shopifyMetaobjectId) {
+        return null;
+      }
+      return syncJobService.enqueue(
+        "review.delete",
+        {
+          payload: {
+            metaobjectId: review.shopifyMetaobjectId,
+            productId: review.shopifyProductId.toString(),
+          },
+        },
+        tx
+      );
+    });
+  }
+
+  /**
+   * Mark a customer's unverified reviews of products in a fulfilled order as
+   * verified buyers, queueing a review.update for the ones already in
+   * Shopify. Returns the number of reviews marked.
+   */
+  async recordVerifiedPurchase({ email, orderId, productIds }) {
+    return prisma.$transaction(async (tx) => {
+      const reviews = await tx.review.findMany({
+        where: {
+          authorEmail: { equals: email, mode: "insensitive" },
+          shopifyProductId: { in: productIds.map((id) => BigInt(id)) },
+          isVerifiedBuyer: false,
+        },
+        select: { id: true, shopifyMetaobjectId: true },
+      });
+
+      for (const review of reviews) {
+        await tx.review.update({
+          where: { id: review.id },
+          data: {
+            isVerifiedBuyer: true,
+            verifiedOrderId: orderId,
+            verificationCheckedAt: new Date(),
+          },
+        });
+        // Not in Shopify yet: the review.create job sends the badge
+        if (review.shopifyMetaobjectId) {
+          await syncJobService.enqueue(
+            "review.update",
+            { reviewId: review.id },
+            tx
+          );
+        }
+      }
+      return reviews.length;
+    });
+  }
+
+  /**
+   * Delete every stored review of a product deleted in Shopify and queue
+   * removal of their metaobjects. The product's custom.ratings list went with
+   * the product, so nothing is unlinked. Returns the number of reviews deleted.
+   */
+  async deleteProductReviews(productId) {
+    return prisma.$transaction(async (tx) => {
+      const where = { shopifyProductId: BigInt(productId) };
+      const reviews = await tx.review.findMany({
+        where,
+        select: { id: true, shopifyMetaobjectId: true },
+      });
+
+      await tx.review.deleteMany({ where });
+      // A rating summary refresh would only fail on the missing product
+      await tx.syncJob.deleteMany({
+        where: {
+          type: "product.summary",
+          status: "PENDING",
+          payload: { equals: { productId: productId.toString() } },
+        },
+      });
+      for (const review of reviews.filter((r) => r.shopifyMetaobjectId)) {
+        await syncJobService.enqueue(
+          "review.delete",
+          {
+            payload: {
+              metaobjectId: review.shopifyMetaobjectId,
+              productId: productId.toString(),
+              productDeleted: true,
+            },
+          },
+          tx
+        );
+      }
+      return reviews.length;
+    });
+  }
+
+  /**
+   * Record the Shopify metaobject (and uploaded media) created for a review
+   */
+  async markSyncedToShopify(
+    reviewId,
+    {
+      metaobjectId,
+      imageFileId,
+      videoFileId,
+      mediaFileIds = [],
+      thumbnailFileIds = [],
+    }
+  ) {
+    try {
+      return await prisma.review.update({
+        where: { id: reviewId },
+        data: {
+          shopifyMetaobjectId: metaobjectId,
+          imageFileId: imageFileId || null,
+          videoFileId: videoFileId || null,
+          mediaFileIds,
+          thumbnailFileIds,
+        },
+      });
+    } catch (error) {
+      console.error("Error recording Shopify metaobject for review:", error);
+      throw new Error(`Failed to update review: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new ReviewService();
@@ -0,0 +1,433 @@
+const prisma = require("./prismaService");
+const shopifyService = require("./shopifyService");
+const reviewService = require("./reviewService");
+const productChangeService = require("./productChangeService");
+const cacheService = require("./cacheService");
+const config = require("../config");
+const { mapWithConcurrency } = require("../utils/concurrency");
+
+// Deterministic handle so a retried metaobjectCreate finds the earlier attempt
+function metaobjectHandleFor(reviewId) {
+  return `review-${reviewId}`;
+}
+
+// Value of the metaobject's merchant_reply JSON field
+function toReplyField(reply) {
+  return {
+    body: reply.body,
+    authorName: reply.authorName,
+    status: reply.moderationStatus.toLowerCase(),
+    createdAt: reply.createdAt.toISOString(),
+    updatedAt: reply.updatedAt.toISOString(),
+  };
+}
+
+function toRatingData(review) {
+  const uploaded = review.media.filter((m) => m.uploadStatus === "UPLOADED");
+  const image = uploaded.find((m) => m.kind === "image");
+  const video = uploaded.find((m) => m.kind === "video");
+
+  return {
+    handle: metaobjectHandleFor(review.id),
+    productId: review.shopifyProductId,
+    rating: review.rating,
+    title: review.title || "",
+    body: review.body,
+    authorName: review.authorName,
+    isVerifiedBuyer: review.isVerifiedBuyer,
+    ageRange: review.ageRange,
+    sizePurchased: review.sizePurchased,
+    fitRating: review.fitRating,
+    sizeFit: review.sizeFit,
+    shippingRating: review.shippingRating,
+    recommendsProduct: review.recommendsProduct,
+    helpfulCount: review.helpfulCount,
+    notHelpfulCount: review.notHelpfulCount,
+    createdAt: review.createdAt,
+    moderationStatus: review.moderationStatus,
+    rejectionReason: review.rejectionReason,
+    imageFileId: image ? image.fileId : null,
+    videoFileId: video ? video.fileId : null,
+    imageThumbnailFileId: image ? image.thumbnailFileId : null,
+    mediaFileIds: uploaded.map((m) => m.fileId),
+    thumbnailFileIds: uploaded
+      .filter((m) => m.thumbnailFileId)
+      .map((m) => m.thumbnailFileId),
+    merchantReply: review.reply ? toReplyField(review.reply) : null,
+  };
+}
+
+function uploadFile(buffer, filename, mimeType) {
+  return shopifyService.processFileUpload(
+    {
+      buffer: Buffer.from(buffer),
+      size: buffer.length,
+      type: mimeType,
+      name: filename,
+    },
+    filename,
+    mimeType
+  );
+}
+
+function thumbnailFilename(media) {
+  return media.filename.replace(/\.[^.]+$/, "") + ".thumb.webp";
+}
+
+/**
+ * Upload one media item, and its thumbnail if it has one, and record the
+ * outcome on its row. Each variant is saved as soon as it is uploaded. A
+ * failure is counted against the item; once it runs out of attempts the item
+ * is marked FAILED and the review goes ahead without it.
+ */
+async function uploadMedia(media) {
+  try {
+    if (!media.fileId) {
+      const fileId = await uploadFile(
+        media.data,
+        media.filename,
+        media.mimeType
+      );
+      Object.assign(
+        media,
+        await prisma.reviewMedia.update({
+          where: { id: media.id },
+          data: { fileId, data: null },
+        })
+      );
+    }
+
+    if (media.thumbnailData && !media.thumbnailFileId) {
+      const thumbnailFileId = await uploadFile(
+        media.thumbnailData,
+        thumbnailFilename(media),
+        media.thumbnailMimeType
+      );
+      Object.assign(
+        media,
+        await prisma.reviewMedia.update({
+          where: { id: media.id },
+          data: { thumbnailFileId, thumbnailData: null },
+        })
+      );
+    }
+
+    Object.assign(
+      media,
+      await prisma.reviewMedia.update({
+        where: { id: media.id },
+        data: {
+          uploadStatus: "UPLOADED",
+          uploadAttempts: { increment: 1 },
+          uploadError: null,
+        },
+      })
+    );
+  } catch (error) {
+    const uploadAttempts = media.uploadAttempts + 1;
+    const gaveUp = uploadAttempts >= config.upload.maxMediaAttempts;
+
+    console.error(
+      `[ReviewSync] Upload of media ${media.id} (${media.filename}) failed, attempt ${uploadAttempts}/${config.upload.maxMediaAttempts}:`,
+      error.message
+    );
+    Object.assign(
+      media,
+      await prisma.reviewMedia.update({
+        where: { id: media.id },
+        data: {
+          uploadStatus: gaveUp ? "FAILED" : "PENDING",
+          uploadAttempts,
+          uploadError: error.message,
+        },
+      })
+    );
+  }
+}
+
+class ReviewSyncService {
+  /**
+   * Metaobject fields and publishable status that mirror a moderation state.
+   * Only approved reviews are ACTIVE (visible on the storefront).
+   */
+  toModerationFields(moderationStatus, rejectionReason) {
+    return {
+      is_approved: (moderationStatus === "APPROVED").toString(),
+      moderation_status: moderationStatus.toLowerCase(),
+      rejection_reason: rejectionReason || "",
+      status: moderationStatus === "APPROVED" ? "ACTIVE" : "DRAFT",
+    };
+  }
+
+  /**
+   * Every field the backend owns, from the stored review. Empty values clear
+   * the field, e.g. after the author removed their photos.
+   */
+  toMetaobjectUpdate(review) {
+    const ratingData = toRatingData(review);
+
+    return {
+      rating: review.rating,
+      title: review.title || "",
+      body: review.body,
+      author_name: review.authorName,
+      author_email: "", // clears emails stored by earlier versions
+      age_range: review.ageRange || "",
+      size_purchased: review.sizePurchased || "",
+      fit_rating: review.fitRating?.toString() || "",
+      size_fit: review.sizeFit?.toString() || "",
+      shipping_rating: review.shippingRating?.toString() || "",
+      recommends_product: review.recommendsProduct.toString(),
+      is_verified_buyer: review.isVerifiedBuyer.toString(),
+      image: ratingData.imageFileId || "",
+      video: ratingData.videoFileId || "",
+      image_thumbnail: ratingData.imageThumbnailFileId || "",
+      media: JSON.stringify(ratingData.mediaFileIds),
+      thumbnails: JSON.stringify(ratingData.thumbnailFileIds),
+      ...this.toVoteFields(review),
+      ...this.toModerationFields(
+        review.moderationStatus,
+        review.rejectionReason
+      ),
+    };
+  }
+
+  toVoteFields(review) {
+    return {
+      helpful_count: review.helpfulCount,
+      not_helpful_count: review.notHelpfulCount,
+    };
+  }
+
+  /**
+   * Upload a review's media that has not reached Shopify yet, a few at a
+   * time. Items that failed but have attempts left throw so the job is
+   * retried; items out of attempts are left off the review.
+   */
+  async uploadPendingMedia(review) {
+    const pendingMedia = review.media.filter(
+      (media) => media.uploadStatus === "PENDING"
+    );
+    await mapWithConcurrency(
+      pendingMedia,
+      config.upload.concurrency,
+      uploadMedia
+    );
+
+    const retryMedia = pendingMedia.filter(
+      (media) => media.uploadStatus === "PENDING"
+    );
+    if (retryMedia.length > 0) {
+      throw new Error(
+        `${retryMedia.length} of ${
+          review.media.length
+        } media uploads failed: ${retryMedia
+          .map((media) => `${media.filename}: ${media.uploadError}`)
+          .join("; ")}`
+      );
+    }
+  }
+
+  /**
+   * Push a newly stored review to Shopify. Each step is checkpointed in the
+   * database, so a retry resumes where the previous attempt stopped:
+   * order lookup → staged upload + fileCreate per media item (in parallel) →
+   * metaobjectCreate → productUpdate
+   */
+  async pushNewReview(reviewId) {
+    let review = await reviewService.getReviewWithMedia(reviewId);
+    if (!review) {
+      throw new Error(`Review ${reviewId} not found`);
+    }
+
+    // Step 0: decide the verified buyer badge from the customer's Shopify orders
+    if (!review.verificationCheckedAt) {
+      const orderId = review.authorEmail
+        ? await shopifyService.findVerifiedOrder(
+            review.authorEmail,
+            review.shopifyProductId.toString()
+          )
+        : null;
+
+      review = {
+        ...review,
+        ...(await prisma.review.update({
+          where: { id: review.id },
+          data: {
+            isVerifiedBuyer: Boolean(orderId),
+            verifiedOrderId: orderId,
+            verificationCheckedAt: new Date(),
+          },
+        })),
+      };
+      console.log(
+        `[ReviewSync] Review ${review.id} verified buyer: ${
+          orderId ? `yes (${orderId})` : "no"
+        }`
+      );
+    }
+
+    // Step 1: upload media that has not reached Shopify yet
+    await this.uploadPendingMedia(review);
+
+    // Step 2: create the metaobject, or recover the one a failed attempt created
+    if (!review.shopifyMetaobjectId) {
+      const ratingData = toRatingData(review);
+      const metaobject =
+        (await shopifyService.getMetaobjectByHandle(
+          "product_rating",
+          ratingData.handle
+        )) || (await shopifyService.createProductRating(ratingData));
+
+      review = await reviewService.markSyncedToShopify(review.id, {
+        metaobjectId: metaobject.id,
+        imageFileId: ratingData.imageFileId,
+        videoFileId: ratingData.videoFileId,
+        mediaFileIds: ratingData.mediaFileIds,
+        thumbnailFileIds: ratingData.thumbnailFileIds,
+      });
+      console.log(
+        `[ReviewSync] Review ${review.id} stored as metaobject ${metaobject.id}`
+      );
+    }
+
+    // Step 3: reference the metaobject from the product's custom.ratings list
+    if (!review.linkedToProductAt) {
+      await shopifyService.linkRatingToProduct(
+        review.shopifyProductId.toString(),
+        review.shopifyMetaobjectId
+      );
+      await prisma.review.update({
+        where: { id: review.id },
+        data: { linkedToProductAt: new Date() },
+      });
+      console.log(
+        `[ReviewSync] Review ${review.id} linked to product ${review.shopifyProductId}`
+      );
+      await productChangeService.productReviewsChanged(
+        review.shopifyProductId.toString()
+      );
+    }
+  }
+
+  /**
+   * Push the current state of a stored review to its metaobject
+   */
+  async pushReviewUpdate(reviewId) {
+    const review = await reviewService.getReviewWithMedia(reviewId);
+    if (!review) {
+      throw new Error(`Review ${reviewId} not found`);
+    }
+
+    // Not created yet: the review.create job will send the current state
+    if (!review.shopifyMetaobjectId) {
+      console.log(
+        `[ReviewSync] Review ${review.id} has no metaobject yet, skipping update`
+      );
+      return;
+    }
+
+    // Photos and videos added by the author since the last sync
+    await this.uploadPendingMedia(review);
+
+    const ratingData = toRatingData(review);
+    await shopifyService.updateProductRating(
+      review.shopifyMetaobjectId,
+      this.toMetaobjectUpdate(review)
+    );
+    await prisma.review.update({
+      where: { id: review.id },
+      data: {
+        imageFileId: ratingData.imageFileId,
+        videoFileId: ratingData.videoFileId,
+        mediaFileIds: ratingData.mediaFileIds,
+        thumbnailFileIds: ratingData.thumbnailFileIds,
+      },
+    });
+    await productChangeService.productReviewsChanged(
+      review.shopifyProductId.toString()
+    );
+  }
+
+  /**
+   * Write fields straight to a metaobject that has no database row, such as
+   * a review created before the database anonymized by a privacy request
+   */
+  async pushMetaobjectFields({ metaobjectId, productId, fields }) {
+    await shopifyService.updateProductRating(metaobjectId, { ...fields });
+    if (productId) {
+      await cacheService.invalidateProduct(productId);
+    }
+  }
+
+  /**
+   * Copy a review's current vote counts to its metaobject. Only the product's
+   * cached responses are dropped: votes reorder the most_helpful sort but do
+   * not change the rating metafields.
+   */
+  async pushVoteCounts(reviewId) {
+    const review = await reviewService.getReviewWithMedia(reviewId);
+    if (!review) {
+      // Deleted since the vote, nothing left to update
+      return;
+    }
+
+    // Not created yet: the review.create job will send the current counts
+    if (!review.shopifyMetaobjectId) {
+      return;
+    }
+
+    await shopifyService.updateProductRating(
+      review.shopifyMetaobjectId,
+      this.toVoteFields(review)
+    );
+    await cacheService.invalidateProduct(review.shopifyProductId.toString());
+  }
+
+  /**
+   * Write a review's merchant reply to its metaobject, or clear the field
+   * once the reply is deleted
+   */
+  async pushReply(reviewId) {
+    const review = await reviewService.getReviewWithMedia(reviewId);
+    if (!review) {
+      throw new Error(`Review ${reviewId} not found`);
+    }
+
+    // Not created yet: the review.create job will send the current reply
+    if (!review.shopifyMetaobjectId) {
+      return;
+    }
+
+    await shopifyService.updateProductRating(review.shopifyMetaobjectId, {
+      merchant_reply: review.reply
+        ? JSON.stringify(toReplyField(review.reply))
+        : "",
+    });
+    await cacheService.invalidateProduct(review.shopifyProductId.toString());
+  }
+
+  /**
+   * Remove a deleted review from Shopify: unlink it from the product first so
+   * the list never points at a missing metaobject, then delete the metaobject.
+   * When the product itself was deleted there is no list left to unlink from.
+   */
+  async pushReviewDelete({ metaobjectId, productId, productDeleted = false }) {
+    if (!productDeleted) {
+      await shopifyService.unlinkRatingFromProduct(productId, metaobjectId);
+      await productChangeService.productReviewsChanged(productId);
+    }
+
+    try {
+      await shopifyService.deleteProductRating(metaobjectId);
+    } catch (error) {
+      // Already gone after an earlier attempt
+      if (/not (be )?found|does not exist/i.test(error.message)) {
+        return;
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = new ReviewSyncService();
@@ -0,0 +1,182 @@
+const config = require("../config");
+
+const URL_PATTERN =
+  /(https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(com|net|org|co|info|biz|shop|store|online|xyz|ly|me)\b/i;
+const EMAIL_PATTERN = /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/gi;
+// Runs of digits with common separators, not glued to a word, checked for 7
+// to 15 digits (the longest international number) below
+const PHONE_PATTERN = /(?<![\w#])\+?\d[\d\s().-]{5,}\d(?!\w)/g;
+// Dates (2023-05-01, 01.05.2023) and order numbers (#100234567) also make
+// long runs of digits, they are removed before looking for phone numbers
+const NOT_PHONE_PATTERN =
+  /\b\d{4}[-/.]\d{1,2}[-/.]\d{1,2}\b|\b\d{1,2}[-/.]\d{1,2}[-/.]\d{2,4}\b|#\s?\d[\d-]*/g;
+
+const SUBSTITUTIONS = {
+  0: "o",
+  1: "i",
+  3: "e",
+  4: "a",
+  5: "s",
+  "@": "a",
+  $: "s",
+};
+
+// Lowercase, strip accents and undo common character substitutions
+function normalizeText(text) {
+  return text
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[013457@$]/g, (char) => SUBSTITUTIONS[char] || char);
+}
+
+function buildProfanitySet() {
+  const { es, en, extra } = config.screening.profanity;
+  return new Set([...es, ...en, ...extra].map(normalizeText));
+}
+
+const profanity = buildProfanitySet();
+
+/**
+ * Screening rules. `test` returns a short description of what matched, or
+ * null. `outcome` is applied when this rule is the top scorer of a review
+ * that reaches the reject threshold.
+ */
+const RULES = [
+  {
+    id: "profanity",
+    outcome: { status: "REJECTED", reason: "inappropriate_language" },
+    test: ({ text }) => {
+      const words = normalizeText(text).split(/[^a-z]+/);
+      const matches = [...new Set(words.filter((word) => profanity.has(word)))];
+      return matches.length > 0 ? `Profanity: ${matches.join(", ")}` : null;
+    },
+  },
+  {
+    id: "url",
+    outcome: { status: "SPAM" },
+    test: ({ text }) => {
+      // Email domains are covered by the email rule
+      const match = text.replace(EMAIL_PATTERN, " ").match(URL_PATTERN);
+      return match ? `Link: ${match[0]}` : null;
+    },
+  },
+  {
+    id: "email",
+    outcome: { status: "REJECTED", reason: "personal_information" },
+    test: ({ text }) =>
+      text.match(EMAIL_PATTERN) ? "Email address in review text" : null,
+  },
+  {
+    id: "phone",
+    outcome: { status: "REJECTED", reason: "personal_information" },
+    test: ({ text }) => {
+      const candidates =
+        text.replace(NOT_PHONE_PATTERN, " ").match(PHONE_PATTERN) || [];
+      const phone = candidates.find((candidate) => {
+        const digits = candidate.replace(/\D/g, "").length;
+        return digits >= 7 && digits <= 15;
+      });
+      return phone ? "Phone number in review text" : null;
+    },
+  },
+  {
+    id: "allCaps",
+    outcome: { status: "SPAM" },
+    test: ({ text }) => {
+      const { minLetters, ratio } = config.screening.rules.allCaps;
+      const letters = text.replace(/[^a-zA-Z\u00c0-\u00ff]/g, "");
+      if (letters.length < minLetters) {
+        return null;
+      }
+      const upper = letters.replace(/[^A-Z\u00c0-\u00de]/g, "").length;
+      return upper / letters.length >= ratio ? "Mostly capital letters" : null;
+    },
+  },
+  {
+    id: "repeatedCharacters",
+    outcome: { status: "SPAM" },
+    test: ({ text }) => {
+      const { minRun } = config.screening.rules.repeatedCharacters;
+      const match = text.match(new RegExp(`(\\S)\\1{${minRun - 1},}`));
+      return match ? `Repeated characters: ${match[0].slice(0, 20)}` : null;
+    },
+  },
+  {
+    id: "blockedEmail",
+    outcome: { status: "SPAM" },
+    test: ({ email }) => {
+      if (!email) {
+        return null;
+      }
+      const { emails } = config.screening.blocklist;
+      const domain = `@${email.split("@")[1]}`;
+      return emails.includes(email) || emails.includes(domain)
+        ? "Author email is blocklisted"
+        : null;
+    },
+  },
+  {
+    id: "blockedIp",
+    outcome: { status: "SPAM" },
+    test: ({ ip }) =>
+      ip && config.screening.blocklist.ips.includes(ip)
+        ? "Submitting IP is blocklisted"
+        : null,
+  },
+];
+
+class ScreeningService {
+  /**
+   * Score a submitted review against the screening rules.
+   * Returns { score, matchedRules, decision, moderationStatus, rejectionReason }
+   * where decision is "pass", "hold" or "reject".
+   */
+  screen(review, { ip } = {}) {
+    const { holdScore, rejectScore, autoApproveClean, rules } =
+      config.screening;
+
+    const context = {
+      text: [review.title, review.body].filter(Boolean).join("\n"),
+      email: review.authorEmail ? review.authorEmail.toLowerCase() : null,
+      ip: ip ? ip.replace(/^::ffff:/, "") : null,
+    };
+
+    const matchedRules = [];
+    RULES.forEach((rule) => {
+      const detail = rule.test(context);
+      if (detail) {
+        matchedRules.push({
+          rule: rule.id,
+          score: rules[rule.id].score,
+          detail,
+        });
+      }
+    });
+
+    const score = matchedRules.reduce((sum, match) => sum + match.score, 0);
+
+    if (score >= rejectScore) {
+      const top = matchedRules.reduce((a, b) => (b.score > a.score ? b : a));
+      const { outcome } = RULES.find((rule) => rule.id === top.rule);
+      return {
+        score,
+        matchedRules,
+        decision: "reject",
+        moderationStatus: outcome.status,
+        rejectionReason: outcome.reason || null,
+      };
+    }
+
+    const held = score >= holdScore;
+    return {
+      score,
+      matchedRules,
+      decision: held ? "hold" : "pass",
+      moderationStatus: !held && autoApproveClean ? "APPROVED" : "PENDING",
+      rejectionReason: null,
+    };
+  }
+}
+
+module.exports = new ScreeningService();
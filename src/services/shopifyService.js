@@ -1,5 +1,110 @@
 const { GraphQLClient } = require("graphql-request");
 const config = require("../config");
+const { createKeyedLock } = require("../utils/keyedLock");
+const { mapWithConcurrency } = require("../utils/concurrency");
+
+/**
+ * Parse a metaobject's JSON field. The fields can be edited by hand in the
+ * Shopify admin, so an unreadable value (or a list field that is not a list)
+ * is logged and replaced by `fallback` instead of failing the whole listing.
+ */
+function parseJsonField(metaobjectId, key, value, fallback) {
+  if (!value) {
+    return fallback;
+  }
+  try {
+    const parsed = JSON.parse(value);
+    if (Array.isArray(parsed) !== Array.isArray(fallback)) {
+      throw new Error(`Unexpected ${key} value`);
+    }
+    return parsed;
+  } catch (error) {
+    console.warn(
+      `[Shopify] Unreadable ${key} field on metaobject ${metaobjectId}, ignored`
+    );
+    return fallback;
+  }
+}
+
+/**
+ * The merchant reply stored in a metaobject's merchant_reply field, only once
+ * it is published (drafts stay hidden)
+ */
+function toPublicReply(metaobjectId, value) {
+  const reply = parseJsonField(metaobjectId, "merchant_reply", value, null);
+  if (!reply || reply.status !== "approved") {
+    return null;
+  }
+  return {
+    body: reply.body,
+    authorName: reply.authorName,
+    createdAt: reply.createdAt,
+    updatedAt: reply.updatedAt,
+  };
+}
+
+/**
+ * Convert a product_rating metaobject ({ id, handle, type, fields }) into a
+ * review with typed values
+ */
+function mapMetaobjectToReview(metaobject) {
+  // Convert fields array to object
+  const fields = {};
+  metaobject.fields.forEach((field) => {
+    fields[field.key] = field.value;
+  });
+
+  // Metaobjects created before moderation states only carry is_approved
+  const moderationStatus =
+    fields.moderation_status ||
+    (fields.is_approved === "true" ? "approved" : "pending");
+
+  // The raw reply field may hold a draft, only merchantReply is exposed.
+  // Older metaobjects still carry the author's email, which is never read.
+  const {
+    merchant_reply: replyField,
+    author_email: authorEmail,
+    ...otherFields
+  } = fields;
+
+  return {
+    id: metaobject.id,
+    handle: metaobject.handle,
+    type: metaobject.type,
+    ...otherFields,
+    // Convert string values to appropriate types
+    rating: parseInt(fields.rating) || 0,
+    fitRating: fields.fit_rating ? parseInt(fields.fit_rating) : null,
+    sizeFit: fields.size_fit ? parseInt(fields.size_fit) : null,
+    shippingRating: fields.shipping_rating
+      ? parseInt(fields.shipping_rating)
+      : null,
+    isVerifiedBuyer: fields.is_verified_buyer === "true",
+    moderationStatus: moderationStatus,
+    rejectionReason: fields.rejection_reason || null,
+    isApproved: moderationStatus === "approved",
+    recommendsProduct: fields.recommends_product === "true",
+    helpfulCount: parseInt(fields.helpful_count) || 0,
+    notHelpfulCount: parseInt(fields.not_helpful_count) || 0,
+    createdAt: fields.created_at,
+    authorName: fields.author_name,
+    title: fields.title,
+    body: fields.body,
+    ageRange: fields.age_range || null,
+    sizePurchased: fields.size_purchased || null,
+    image: fields.image || null,
+    video: fields.video || null,
+    imageThumbnail: fields.image_thumbnail || null,
+    media: parseJsonField(metaobject.id, "media", fields.media, []),
+    thumbnails: parseJsonField(
+      metaobject.id,
+      "thumbnails",
+      fields.thumbnails,
+      []
+    ),
+    merchantReply: toPublicReply(metaobject.id, replyField),
+  };
+}
 
 class ShopifyService {
   constructor() {
@@ -9,6 +114,7 @@ class ShopifyService {
         "Content-Type": "application/json",
       },
     });
+    this.withProductLock = createKeyedLock();
   }
 
   /**
@@ -264,6 +370,7 @@ class ShopifyService {
 
   /**
    * Create a new product rating metaobject
+   * (media must already be uploaded, pass imageFileId / videoFileId / mediaFileIds)
    */
   async createProductRating(ratingData) {
     const mutation = `
@@ -297,16 +404,27 @@ class ShopifyService {
       { key: "title", value: ratingData.title },
       { key: "body", value: ratingData.body },
       { key: "author_name", value: ratingData.authorName },
-      { key: "author_email", value: ratingData.authorEmail },
       {
         key: "is_verified_buyer",
         value: ratingData.isVerifiedBuyer.toString(),
       },
-      { key: "is_approved", value: "false" }, // Default to false for moderation
-      { key: "created_at", value: new Date().toISOString() },
+      {
+        key: "is_approved",
+        value: (ratingData.moderationStatus === "APPROVED").toString(),
+      },
+      {
+        key: "moderation_status",
+        value: (ratingData.moderationStatus || "PENDING").toLowerCase(),
+      },
+      { key: "rejection_reason", value: ratingData.rejectionReason || "" },
+      {
+        key: "created_at",
+        value: (ratingData.createdAt || new Date()).toISOString(),
+      },
       { key: "age_range", value: ratingData.ageRange || "" },
       { key: "size_purchased", value: ratingData.sizePurchased || "" },
       { key: "fit_rating", value: ratingData.fitRating?.toString() || "" },
+      { key: "size_fit", value: ratingData.sizeFit?.toString() || "" },
       {
         key: "shipping_rating",
         value: ratingData.shippingRating?.toString() || "",
@@ -315,49 +433,65 @@ class ShopifyService {
         key: "recommends_product",
         value: ratingData.recommendsProduct?.toString() || "false",
       },
+      {
+        key: "helpful_count",
+        value: (ratingData.helpfulCount || 0).toString(),
+      },
+      {
+        key: "not_helpful_count",
+        value: (ratingData.notHelpfulCount || 0).toString(),
+      },
     ];
 
-    // Process image upload if provided
-    if (ratingData.image) {
-      try {
-        console.log("[createProductRating] Processing image upload...");
-        const imageFileId = await this.processFileUpload(
-          ratingData.image,
-          `review-image-${Date.now()}.jpg`,
-          "image/jpeg"
-        );
-        fields.push({ key: "image", value: imageFileId });
-        console.log("[createProductRating] Image file id:", imageFileId);
-      } catch (error) {
-        console.error("Error processing image upload:", error);
-        // Continue without image if upload fails
-      }
+    // Media is uploaded beforehand (see processFileUpload), only the file IDs are stored here
+    if (ratingData.imageFileId) {
+      fields.push({ key: "image", value: ratingData.imageFileId });
     }
 
-    // Process video upload if provided
-    if (ratingData.video) {
-      try {
-        console.log("[createProductRating] Processing video upload...");
-        const videoFileId = await this.processFileUpload(
-          ratingData.video,
-          `review-video-${Date.now()}.mp4`,
-          "video/mp4"
-        );
-        fields.push({ key: "video", value: videoFileId });
-        console.log("[createProductRating] Video file id:", videoFileId);
-      } catch (error) {
-        console.error("Error processing video upload:", error);
-        // Continue without video if upload fails
-      }
+    if (ratingData.videoFileId) {
+      fields.push({ key: "video", value: ratingData.videoFileId });
+    }
+
+    if (ratingData.imageThumbnailFileId) {
+      fields.push({
+        key: "image_thumbnail",
+        value: ratingData.imageThumbnailFileId,
+      });
+    }
+
+    // Every photo and video, in the order they were submitted (list.file_reference)
+    if (ratingData.mediaFileIds && ratingData.mediaFileIds.length > 0) {
+      fields.push({
+        key: "media",
+        value: JSON.stringify(ratingData.mediaFileIds),
+      });
+    }
+
+    // Thumbnails of the photos, in the same order (list.file_reference)
+    if (ratingData.thumbnailFileIds && ratingData.thumbnailFileIds.length > 0) {
+      fields.push({
+        key: "thumbnails",
+        value: JSON.stringify(ratingData.thumbnailFileIds),
+      });
+    }
+
+    if (ratingData.merchantReply) {
+      fields.push({
+        key: "merchant_reply",
+        value: JSON.stringify(ratingData.merchantReply),
+      });
     }
 
     const variables = {
       metaobject: {
         type: "product_rating",
+        ...(ratingData.handle && { handle: ratingData.handle }),
         fields: fields,
         capabilities: {
           publishable: {
-            status: "ACTIVE",
+            // Only approved reviews are visible on the storefront
+            status:
+              ratingData.moderationStatus === "APPROVED" ? "ACTIVE" : "DRAFT",
           },
         },
       },
@@ -388,98 +522,461 @@ class ShopifyService {
    * Link a rating metaobject to a product's metafield
    */
   async linkRatingToProduct(productId, ratingMetaobjectId) {
-    // First, get the existing ratings metafield
-    const existingRatings = await this.getExistingRatings(productId);
+    return this.updateProductRatingsList(productId, (existingRatings) =>
+      // Nothing to do if a previous attempt already linked it
+      existingRatings.includes(ratingMetaobjectId)
+        ? null
+        : [...existingRatings, ratingMetaobjectId]
+    );
+  }
 
-    // Add the new rating to the existing list
-    const updatedRatings = [...existingRatings, ratingMetaobjectId];
+  /**
+   * Remove a rating metaobject from a product's metafield
+   */
+  async unlinkRatingFromProduct(productId, ratingMetaobjectId) {
+    return this.updateProductRatingsList(productId, (existingRatings) =>
+      existingRatings.includes(ratingMetaobjectId)
+        ? existingRatings.filter((id) => id !== ratingMetaobjectId)
+        : null
+    );
+  }
 
+  /**
+   * Read-modify-write the product's custom.ratings list without clobbering
+   * concurrent writers: updates for the same product are serialized in this
+   * process, and every write is a compare-and-swap on the metafield digest
+   * that is retried if another process changed the list in between.
+   *
+   * `mutate` receives the current list of IDs and returns the new list,
+   * or null when no change is needed.
+   */
+  async updateProductRatingsList(productId, mutate) {
     const mutation = `
-      mutation productUpdate($input: ProductInput!) {
-        productUpdate(input: $input) {
-          product {
+      mutation metafieldsSet($metafields: [MetafieldsSetInput!]!) {
+        metafieldsSet(metafields: $metafields) {
+          metafields {
             id
-            metafields(first: 10) {
-              edges {
-                node {
-                  id
-                  namespace
-                  key
-                  value
-                }
-              }
-            }
+            namespace
+            key
+            value
           }
           userErrors {
             field
             message
+            code
           }
         }
       }
     `;
 
-    const variables = {
-      input: {
-        id: `gid://shopify/Product/${productId}`,
-        metafields: [
-          {
-            namespace: "custom",
-            key: "ratings",
-            value: JSON.stringify(updatedRatings),
-            type: "list.metaobject_reference",
-          },
-        ],
-      },
-    };
+    return this.withProductLock(productId.toString(), async () => {
+      const maxAttempts = config.shopify.ratingsUpdateMaxAttempts;
 
-    try {
-      const response = await this.client.request(mutation, variables);
+      for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        // Throws if the list cannot be read, so a failed read never wipes it
+        const { ratings, compareDigest } = await this.getRatingsMetafield(
+          productId
+        );
 
-      if (response.productUpdate.userErrors.length > 0) {
-        throw new Error(
-          `Shopify API Error: ${response.productUpdate.userErrors
-            .map((e) => e.message)
-            .join(", ")}`
+        const updatedRatings = mutate(ratings);
+        if (!updatedRatings) {
+          return ratings;
+        }
+
+        const variables = {
+          metafields: [
+            {
+              ownerId: `gid://shopify/Product/${productId}`,
+              namespace: "custom",
+              key: "ratings",
+              value: JSON.stringify(updatedRatings),
+              type: "list.metaobject_reference",
+              // null asserts the metafield does not exist yet
+              compareDigest: compareDigest,
+            },
+          ],
+        };
+
+        let response;
+        try {
+          response = await this.client.request(mutation, variables);
+        } catch (error) {
+          console.error("Error updating product ratings list:", error);
+          throw new Error(
+            `Failed to update product ratings list: ${error.message}`
+          );
+        }
+
+        const { userErrors } = response.metafieldsSet;
+        if (userErrors.length === 0) {
+          return updatedRatings;
+        }
+
+        if (!userErrors.every((e) => e.code === "STALE_OBJECT")) {
+          throw new Error(
+            `Failed to update product ratings list: Shopify API Error: ${userErrors
+              .map((e) => e.message)
+              .join(", ")}`
+          );
+        }
+
+        console.warn(
+          `[Shopify] custom.ratings for product ${productId} changed concurrently, retrying (${attempt}/${maxAttempts})`
         );
       }
 
-      return response.productUpdate.product;
-    } catch (error) {
-      console.error("Error linking rating to product:", error);
-      throw new Error(`Failed to link rating to product: ${error.message}`);
-    }
+      throw new Error(
+        `Failed to update product ratings list: product ${productId} kept changing after ${maxAttempts} attempts`
+      );
+    });
   }
 
   /**
    * Get existing ratings from a product's metafield
    */
   async getExistingRatings(productId) {
+    const { ratings } = await this.getRatingsMetafield(productId);
+    return ratings;
+  }
+
+  /**
+   * Get the product's custom.ratings list with its compareDigest
+   * (null when the metafield does not exist yet). Throws on any failure.
+   */
+  async getRatingsMetafield(productId) {
     const query = `
       query getProduct($id: ID!) {
         product(id: $id) {
           metafield(namespace: "custom", key: "ratings") {
             value
+            compareDigest
           }
         }
       }
     `;
 
+    let response;
     try {
-      const response = await this.client.request(query, {
+      response = await this.client.request(query, {
         id: `gid://shopify/Product/${productId}`,
       });
+    } catch (error) {
+      console.error("Error fetching existing ratings:", error);
+      throw new Error(`Failed to fetch existing ratings: ${error.message}`);
+    }
+
+    if (!response.product) {
+      throw new Error(`Product ${productId} not found`);
+    }
+
+    const metafield = response.product.metafield;
+    if (!metafield) {
+      return { ratings: [], compareDigest: null };
+    }
+
+    let ratings;
+    try {
+      ratings = metafield.value ? JSON.parse(metafield.value) : [];
+    } catch (error) {
+      throw new Error(
+        `Product ${productId} has an unreadable custom.ratings value`
+      );
+    }
+
+    return {
+      ratings: Array.isArray(ratings) ? ratings : [ratings],
+      compareDigest: metafield.compareDigest,
+    };
+  }
+
+  /**
+   * Find a paid or fulfilled order placed with this email that contains the
+   * product. Returns the order GID, or null when there is none.
+   */
+  async findVerifiedOrder(email, productId) {
+    const query = `
+      query findCustomerOrders($query: String!) {
+        orders(first: 50, query: $query, sortKey: CREATED_AT, reverse: true) {
+          edges {
+            node {
+              id
+              displayFinancialStatus
+              displayFulfillmentStatus
+              lineItems(first: 100) {
+                edges {
+                  node {
+                    product {
+                      id
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    `;
+
+    const productGid = `gid://shopify/Product/${productId}`;
+    const quotedEmail = email.replace(/["\\]/g, "");
+
+    try {
+      const response = await this.client.request(query, {
+        query: `email:"${quotedEmail}"`,
+      });
+
+      const order = response.orders.edges
+        .map((edge) => edge.node)
+        .find(
+          (node) =>
+            (node.displayFinancialStatus === "PAID" ||
+              node.displayFulfillmentStatus === "FULFILLED") &&
+            node.lineItems.edges.some(
+              (item) => item.node.product && item.node.product.id === productGid
+            )
+        );
+
+      return order ? order.id : null;
+    } catch (error) {
+      console.error("Error looking up customer orders:", error);
+      throw new Error(`Failed to look up customer orders: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find a product by its handle. Returns its numeric ID, or null.
+   */
+  async findProductIdByHandle(handle) {
+    const query = `
+      query findProductByHandle($query: String!) {
+        products(first: 1, query: $query) {
+          edges {
+            node {
+              legacyResourceId
+              handle
+            }
+          }
+        }
+      }
+    `;
+
+    try {
+      const response = await this.client.request(query, {
+        query: `handle:"${handle.replace(/["\\]/g, "")}"`,
+      });
+      const product = response.products.edges
+        .map((edge) => edge.node)
+        .find((node) => node.handle === handle);
 
-      if (response.product.metafield && response.product.metafield.value) {
-        // Parse the existing JSON array
-        return JSON.parse(response.product.metafield.value);
+      return product ? product.legacyResourceId : null;
+    } catch (error) {
+      console.error("Error looking up product by handle:", error);
+      throw new Error(`Failed to look up product: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the product of a variant SKU. Returns its numeric ID, or null.
+   */
+  async findProductIdBySku(sku) {
+    const query = `
+      query findVariantBySku($query: String!) {
+        productVariants(first: 1, query: $query) {
+          edges {
+            node {
+              sku
+              product {
+                legacyResourceId
+              }
+            }
+          }
+        }
       }
+    `;
 
-      // Return empty array if no existing ratings
-      return [];
+    try {
+      const response = await this.client.request(query, {
+        query: `sku:"${sku.replace(/["\\]/g, "")}"`,
+      });
+      const variant = response.productVariants.edges
+        .map((edge) => edge.node)
+        .find((node) => node.sku === sku);
+
+      return variant ? variant.product.legacyResourceId : null;
     } catch (error) {
-      console.error("Error fetching existing ratings:", error);
-      // Return empty array on error
-      return [];
+      console.error("Error looking up product by SKU:", error);
+      throw new Error(`Failed to look up product: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a page of fulfilled orders updated since a date, with the products
+   * they contain (for review request emails)
+   */
+  async getFulfilledOrders(updatedSince, first = 50, after = null) {
+    const query = `
+      query getFulfilledOrders($first: Int!, $after: String, $query: String!) {
+        orders(first: $first, after: $after, query: $query, sortKey: UPDATED_AT) {
+          edges {
+            node {
+              id
+              name
+              email
+              displayFulfillmentStatus
+              customer {
+                firstName
+                email
+              }
+              fulfillments {
+                createdAt
+              }
+              lineItems(first: 50) {
+                edges {
+                  node {
+                    variantTitle
+                    product {
+                      legacyResourceId
+                      title
+                      handle
+                      featuredImage {
+                        url
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }
+    `;
+
+    try {
+      const response = await this.client.request(query, {
+        first,
+        after,
+        query: `fulfillment_status:shipped updated_at:>='${updatedSince.toISOString()}'`,
+      });
+      return response.orders;
+    } catch (error) {
+      console.error("Error fetching fulfilled orders:", error);
+      throw new Error(`Failed to fetch fulfilled orders: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a page of products with their custom.ratings list
+   */
+  async getProductsWithRatings(first = 100, after = null) {
+    const query = `
+      query getProductsWithRatings($first: Int!, $after: String) {
+        products(first: $first, after: $after) {
+          edges {
+            node {
+              id
+              legacyResourceId
+              metafield(namespace: "custom", key: "ratings") {
+                value
+              }
+            }
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }
+    `;
+
+    try {
+      const response = await this.client.request(query, { first, after });
+      return response.products;
+    } catch (error) {
+      console.error("Error fetching products with ratings:", error);
+      throw new Error(`Failed to fetch products: ${error.message}`);
+    }
+  }
+
+  /**
+   * Write metafields ([{ ownerId, namespace, key, type, value }]) with
+   * metafieldsSet, 25 per call (the API maximum)
+   */
+  async setMetafields(metafields) {
+    const mutation = `
+      mutation metafieldsSet($metafields: [MetafieldsSetInput!]!) {
+        metafieldsSet(metafields: $metafields) {
+          metafields {
+            id
+            namespace
+            key
+          }
+          userErrors {
+            field
+            message
+            code
+          }
+        }
+      }
+    `;
+
+    try {
+      for (let i = 0; i < metafields.length; i += 25) {
+        const response = await this.client.request(mutation, {
+          metafields: metafields.slice(i, i + 25),
+        });
+
+        if (response.metafieldsSet.userErrors.length > 0) {
+          throw new Error(
+            `Shopify API Error: ${response.metafieldsSet.userErrors
+              .map((e) => e.message)
+              .join(", ")}`
+          );
+        }
+      }
+    } catch (error) {
+      console.error("Error setting metafields:", error);
+      throw new Error(`Failed to set metafields: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete metafields ([{ ownerId, namespace, key }]). Metafields that do not
+   * exist are ignored.
+   */
+  async deleteMetafields(metafields) {
+    const mutation = `
+      mutation metafieldsDelete($metafields: [MetafieldIdentifierInput!]!) {
+        metafieldsDelete(metafields: $metafields) {
+          deletedMetafields {
+            key
+            namespace
+            ownerId
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `;
+
+    try {
+      const response = await this.client.request(mutation, { metafields });
+
+      if (response.metafieldsDelete.userErrors.length > 0) {
+        throw new Error(
+          `Shopify API Error: ${response.metafieldsDelete.userErrors
+            .map((e) => e.message)
+            .join(", ")}`
+        );
+      }
+    } catch (error) {
+      console.error("Error deleting metafields:", error);
+      throw new Error(`Failed to delete metafields: ${error.message}`);
     }
   }
 
@@ -523,12 +1020,18 @@ class ShopifyService {
   }
 
   /**
-   * Get reviews for a specific product
+   * Get all reviews for a product, loaded in batches from its custom.ratings
+   * list. Pass a Server-Timing collector (see utils/serverTiming) as `timing`
+   * to record how long each Shopify step took.
    */
-  async getProductReviews(productId) {
+  async getProductReviews(productId, { timing } = {}) {
+    const measure = timing ? timing.measure : (name, fn) => fn();
+
     try {
       // First get the product's ratings metafield
-      const product = await this.getProductRatings(productId);
+      const product = await measure("shopify-product", () =>
+        this.getProductRatings(productId)
+      );
 
       if (!product) {
         return [];
@@ -559,18 +1062,16 @@ class ShopifyService {
         return [];
       }
 
-      // Fetch the actual metaobject data for each ID
-      const reviews = [];
-      for (const metaobjectId of metaobjectIds) {
-        try {
-          const review = await this.getMetaobjectById(metaobjectId);
-          if (review) {
-            reviews.push(review);
-          }
-        } catch (error) {
-          console.error(`Error fetching metaobject ${metaobjectId}:`, error);
-        }
-      }
+      const start = Date.now();
+      const reviews = await measure(
+        "shopify-metaobjects",
+        () => this.getMetaobjectsByIds(metaobjectIds),
+        `${metaobjectIds.length} reviews`
+      );
+      const elapsedMs = Date.now() - start;
+      console.log(
+        `[Shopify] Loaded ${reviews.length}/${metaobjectIds.length} reviews for product ${productId} in ${elapsedMs}ms`
+      );
 
       return reviews;
     } catch (error) {
@@ -579,6 +1080,51 @@ class ShopifyService {
     }
   }
 
+  /**
+   * Get product_rating metaobjects by ID with nodes(ids:) queries of up to
+   * nodesBatchSize IDs, a few in flight at once. Returns reviews in the order
+   * of the IDs; IDs that no longer exist are skipped.
+   */
+  async getMetaobjectsByIds(metaobjectIds) {
+    const query = `
+      query getMetaobjects($ids: [ID!]!) {
+        nodes(ids: $ids) {
+          ... on Metaobject {
+            id
+            handle
+            type
+            fields {
+              key
+              value
+            }
+          }
+        }
+      }
+    `;
+
+    const { nodesBatchSize, nodesConcurrency } = config.shopify;
+    const chunks = [];
+    for (let i = 0; i < metaobjectIds.length; i += nodesBatchSize) {
+      chunks.push(metaobjectIds.slice(i, i + nodesBatchSize));
+    }
+
+    try {
+      const results = await mapWithConcurrency(
+        chunks,
+        nodesConcurrency,
+        async (ids) => (await this.client.request(query, { ids })).nodes
+      );
+
+      return results
+        .flat()
+        .filter((node) => node && node.fields)
+        .map(mapMetaobjectToReview);
+    } catch (error) {
+      console.error("Error fetching metaobjects:", error);
+      throw new Error(`Failed to fetch metaobjects: ${error.message}`);
+    }
+  }
+
   /**
    * Get a specific metaobject by ID
    */
@@ -604,42 +1150,42 @@ class ShopifyService {
         return null;
       }
 
-      // Convert fields array to object
-      const fields = {};
-      response.metaobject.fields.forEach((field) => {
-        fields[field.key] = field.value;
-      });
-
-      return {
-        id: response.metaobject.id,
-        handle: response.metaobject.handle,
-        type: response.metaobject.type,
-        ...fields,
-        // Convert string values to appropriate types
-        rating: parseInt(fields.rating) || 0,
-        fitRating: fields.fit_rating ? parseInt(fields.fit_rating) : null,
-        shippingRating: fields.shipping_rating
-          ? parseInt(fields.shipping_rating)
-          : null,
-        isVerifiedBuyer: fields.is_verified_buyer === "true",
-        isApproved: fields.is_approved === "true",
-        recommendsProduct: fields.recommends_product === "true",
-        createdAt: fields.created_at,
-        authorName: fields.author_name,
-        authorEmail: fields.author_email,
-        title: fields.title,
-        body: fields.body,
-        ageRange: fields.age_range || null,
-        sizePurchased: fields.size_purchased || null,
-        image: fields.image || null,
-        video: fields.video || null,
-      };
+      return mapMetaobjectToReview(response.metaobject);
     } catch (error) {
       console.error("Error fetching metaobject by ID:", error);
       return null;
     }
   }
 
+  /**
+   * Get a metaobject by its type and handle, or null if none exists
+   */
+  async getMetaobjectByHandle(type, handle) {
+    const query = `
+      query getMetaobjectByHandle($handle: MetaobjectHandleInput!) {
+        metaobjectByHandle(handle: $handle) {
+          id
+          handle
+          type
+          fields {
+            key
+            value
+          }
+        }
+      }
+    `;
+
+    try {
+      const response = await this.client.request(query, {
+        handle: { type, handle },
+      });
+      return response.metaobjectByHandle;
+    } catch (error) {
+      console.error("Error fetching metaobject by handle:", error);
+      throw new Error(`Failed to fetch metaobject by handle: ${error.message}`);
+    }
+  }
+
   /**
    * Get all product ratings metaobjects
    */
@@ -853,6 +1399,40 @@ class ShopifyService {
       throw new Error(`Failed to delete product rating: ${error.message}`);
     }
   }
+
+  /**
+   * Delete uploaded files (review photos, videos and thumbnails)
+   */
+  async deleteFiles(fileIds) {
+    const mutation = `
+      mutation fileDelete($fileIds: [ID!]!) {
+        fileDelete(fileIds: $fileIds) {
+          deletedFileIds
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `;
+
+    try {
+      const response = await this.client.request(mutation, { fileIds });
+
+      if (response.fileDelete.userErrors.length > 0) {
+        throw new Error(
+          `Shopify API Error: ${response.fileDelete.userErrors
+            .map((e) => e.message)
+            .join(", ")}`
+        );
+      }
+
+      return response.fileDelete.deletedFileIds;
+    } catch (error) {
+      console.error("Error deleting files:", error);
+      throw new Error(`Failed to delete files: ${error.message}`);
+    }
+  }
 }
 
 module.exports = new ShopifyService();
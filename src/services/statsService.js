@@ -0,0 +1,140 @@
+const { FIT_CATEGORIES, fitCategory } = require("../constants/fit");
+
+function average(values) {
+  return values.length > 0
+    ? values.reduce((sum, value) => sum + value, 0) / values.length
+    : 0;
+}
+
+function roundToTenth(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function percentage(part, total) {
+  return total > 0 ? Math.round((part / total) * 100) : 0;
+}
+
+/**
+ * Reviews per fit category with their share of the reviews that answered how
+ * the size fits, and the most common category as the verdict (null when
+ * nobody answered). Reviews with only a star fitRating are left out.
+ */
+function fitSummary(reviews) {
+  const rated = reviews.filter((review) => review.sizeFit != null);
+
+  const distribution = {};
+  FIT_CATEGORIES.forEach((category) => {
+    const count = rated.filter(
+      (review) => fitCategory(review.sizeFit) === category
+    ).length;
+    distribution[category] = {
+      count,
+      percentage: percentage(count, rated.length),
+    };
+  });
+
+  // Ties go to true to size
+  const verdict =
+    rated.length > 0
+      ? FIT_CATEGORIES.reduce(
+          (best, category) =>
+            distribution[category].count > distribution[best].count
+              ? category
+              : best,
+          "true_to_size"
+        )
+      : null;
+
+  return { distribution, verdict, totalRated: rated.length };
+}
+
+/**
+ * Group reviews by a text field (case-insensitive, labelled as first written)
+ * with the count and average rating of each group, most reviewed first
+ */
+function breakdownBy(reviews, field, labelKey, { includeFit = false } = {}) {
+  const groups = new Map();
+  reviews.forEach((review) => {
+    const value = (review[field] || "").trim();
+    if (!value) {
+      return;
+    }
+    const key = value.toLowerCase();
+    if (!groups.has(key)) {
+      groups.set(key, { label: value, reviews: [] });
+    }
+    groups.get(key).reviews.push(review);
+  });
+
+  return [...groups.values()]
+    .map(({ label, reviews: group }) => ({
+      [labelKey]: label,
+      count: group.length,
+      averageRating: roundToTenth(
+        average(group.map((review) => review.rating))
+      ),
+      ...(includeFit && { fit: fitSummary(group) }),
+    }))
+    .sort(
+      (a, b) => b.count - a.count || a[labelKey].localeCompare(b[labelKey])
+    );
+}
+
+class StatsService {
+  /**
+   * Summary statistics for a set of approved reviews, including the apparel
+   * fields: fit (stars and how the size fits), shipping, size purchased and
+   * age range
+   */
+  computeReviewStats(reviews) {
+    const totalReviews = reviews.length;
+
+    const ratingDistribution = {};
+    [1, 2, 3, 4, 5].forEach((rating) => {
+      ratingDistribution[rating] = reviews.filter(
+        (review) => review.rating === rating
+      ).length;
+    });
+
+    const fitRatings = reviews
+      .map((review) => review.fitRating)
+      .filter((fitRating) => fitRating != null);
+
+    const shippingRatings = reviews
+      .map((review) => review.shippingRating)
+      .filter((shippingRating) => shippingRating != null);
+    const fit = fitSummary(reviews);
+
+    const verifiedBuyers = reviews.filter(
+      (review) => review.isVerifiedBuyer
+    ).length;
+    const recommendations = reviews.filter(
+      (review) => review.recommendsProduct
+    ).length;
+
+    return {
+      totalReviews,
+      averageRating: roundToTenth(
+        average(reviews.map((review) => review.rating))
+      ),
+      ratingDistribution,
+      averageFitRating:
+        fitRatings.length > 0 ? roundToTenth(average(fitRatings)) : null,
+      fitDistribution: fit.distribution,
+      fitVerdict: fit.verdict,
+      averageShippingRating:
+        shippingRatings.length > 0
+          ? roundToTenth(average(shippingRatings))
+          : null,
+      sizeBreakdown: breakdownBy(reviews, "sizePurchased", "size", {
+        includeFit: true,
+      }),
+      ageRangeBreakdown: breakdownBy(reviews, "ageRange", "ageRange"),
+      verifiedBuyers,
+      recommendations,
+      recommendationRate: percentage(recommendations, totalReviews),
+    };
+  }
+}
+
+module.exports = new StatsService();
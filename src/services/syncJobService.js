@@ -0,0 +1,221 @@
+const prisma = require("./prismaService");
+const config = require("../config");
+
+function toJobRow(type, { reviewId = null, payload, runAt, dedupeKey }) {
+  return {
+    type,
+    reviewId,
+    payload,
+    dedupeKey,
+    maxAttempts: config.sync.maxAttempts,
+    runAt: runAt || new Date(),
+  };
+}
+
+class SyncJobService {
+  /**
+   * Add a job to the outbox. Pass a transaction client to enqueue atomically
+   * with the rows the job refers to.
+   */
+  async enqueue(type, options = {}, tx = prisma) {
+    return tx.syncJob.create({ data: toJobRow(type, options) });
+  }
+
+  /**
+   * Enqueue a job unless one of the same type and payload is still waiting to
+   * run. Returns the waiting job in that case.
+   * The waiting job holds a unique dedupeKey, so concurrent calls cannot both
+   * add one. The key is cleared when the job is claimed: changes made while
+   * it runs queue a new job.
+   */
+  async enqueueOnce(type, { payload, runAt } = {}, tx = prisma) {
+    const dedupeKey = `${type}:${JSON.stringify(payload)}`;
+    // ON CONFLICT DO NOTHING: a unique violation (P2002) would abort the
+    // caller's transaction
+    const [created] = await tx.syncJob.createManyAndReturn({
+      data: [toJobRow(type, { payload, runAt, dedupeKey })],
+      skipDuplicates: true,
+    });
+    return created || tx.syncJob.findUnique({ where: { dedupeKey } });
+  }
+
+  /**
+   * Delay before the next attempt: exponential with ±20% jitter, capped
+   */
+  computeBackoffMs(attempts) {
+    const { baseBackoffMs, maxBackoffMs } = config.sync;
+    const exponential = baseBackoffMs * Math.pow(2, Math.max(attempts - 1, 0));
+    const jitter = 0.8 + Math.random() * 0.4;
+    return Math.min(exponential * jitter, maxBackoffMs);
+  }
+
+  /**
+   * Jobs whose next run time has passed, oldest first
+   */
+  async findDueJobs(limit) {
+    return prisma.syncJob.findMany({
+      where: {
+        status: { in: ["PENDING", "FAILED"] },
+        runAt: { lte: new Date() },
+      },
+      orderBy: { runAt: "asc" },
+      take: limit,
+    });
+  }
+
+  /**
+   * Atomically move a job to PROCESSING. Returns the lock, the job's new
+   * lockedAt, which identifies this run; null if another run got it first.
+   */
+  async claim(jobId) {
+    const lockedAt = new Date();
+    const result = await prisma.syncJob.updateMany({
+      where: { id: jobId, status: { in: ["PENDING", "FAILED"] } },
+      data: { status: "PROCESSING", lockedAt, dedupeKey: null },
+    });
+    return result.count === 1 ? lockedAt : null;
+  }
+
+  /**
+   * Mark a run's job completed. Returns false, changing nothing, when the
+   * run's lock was released in the meantime (see releaseStaleLocks).
+   */
+  async markCompleted(jobId, lockedAt) {
+    const result = await prisma.syncJob.updateMany({
+      where: { id: jobId, status: "PROCESSING", lockedAt },
+      data: {
+        status: "COMPLETED",
+        completedAt: new Date(),
+        lockedAt: null,
+        lastError: null,
+        attempts: { increment: 1 },
+      },
+    });
+    return result.count === 1;
+  }
+
+  /**
+   * The job as left by a failed attempt: scheduled for a retry, or
+   * dead-lettered once it has used up its attempts
+   */
+  failedAttempt(job, lastError) {
+    const attempts = job.attempts + 1;
+    const isDead = attempts >= job.maxAttempts;
+
+    return {
+      status: isDead ? "DEAD" : "FAILED",
+      attempts,
+      lockedAt: null,
+      lastError,
+      runAt: isDead
+        ? job.runAt
+        : new Date(Date.now() + this.computeBackoffMs(attempts)),
+    };
+  }
+
+  /**
+   * Record a run's failed attempt. Returns the job's new state, or null,
+   * changing nothing, when the run's lock was released in the meantime.
+   */
+  async markFailed(job, error, lockedAt) {
+    const data = this.failedAttempt(job, error.message);
+    const result = await prisma.syncJob.updateMany({
+      where: { id: job.id, status: "PROCESSING", lockedAt },
+      data,
+    });
+    return result.count === 1 ? { ...job, ...data } : null;
+  }
+
+  /**
+   * Return jobs left in PROCESSING by a crashed or restarted worker to the
+   * queue. The lost run counts as a failed attempt, so a job that keeps
+   * crashing the worker ends up dead-lettered.
+   * Returns the released jobs in their new state.
+   */
+  async releaseStaleLocks() {
+    const stale = await prisma.syncJob.findMany({
+      where: {
+        status: "PROCESSING",
+        lockedAt: { lt: new Date(Date.now() - config.sync.lockTimeoutMs) },
+      },
+    });
+
+    const released = [];
+    for (const job of stale) {
+      const data = this.failedAttempt(job, "Lock timed out");
+      // Skipped if the run finished meanwhile
+      const result = await prisma.syncJob.updateMany({
+        where: { id: job.id, status: "PROCESSING", lockedAt: job.lockedAt },
+        data,
+      });
+      if (result.count === 1) {
+        released.push({ ...job, ...data });
+      }
+    }
+    return released;
+  }
+
+  /**
+   * IDs of reviews that still have a job of this type queued or running
+   */
+  async listActiveReviewIds(type) {
+    const jobs = await prisma.syncJob.findMany({
+      where: {
+        type,
+        reviewId: { not: null },
+        status: { in: ["PENDING", "PROCESSING", "FAILED"] },
+      },
+      select: { reviewId: true },
+    });
+    return new Set(jobs.map((job) => job.reviewId));
+  }
+
+  async getJob(jobId) {
+    return prisma.syncJob.findUnique({ where: { id: jobId } });
+  }
+
+  async listJobs({ status, type, limit = 50 } = {}) {
+    return prisma.syncJob.findMany({
+      where: {
+        ...(status && { status }),
+        ...(type && { type }),
+      },
+      orderBy: { updatedAt: "desc" },
+      take: limit,
+    });
+  }
+
+  /**
+   * Put a failed or dead job back in the queue with a fresh set of attempts
+   */
+  async replay(jobId) {
+    const result = await prisma.syncJob.updateMany({
+      where: { id: jobId, status: { in: ["FAILED", "DEAD"] } },
+      data: {
+        status: "PENDING",
+        attempts: 0,
+        runAt: new Date(),
+        lockedAt: null,
+      },
+    });
+    return result.count === 1 ? this.getJob(jobId) : null;
+  }
+
+  /**
+   * Replay every dead-lettered job
+   */
+  async replayAllDead() {
+    const result = await prisma.syncJob.updateMany({
+      where: { status: "DEAD" },
+      data: {
+        status: "PENDING",
+        attempts: 0,
+        runAt: new Date(),
+        lockedAt: null,
+      },
+    });
+    return result.count;
+  }
+}
+
+module.exports = new SyncJobService();
@@ -0,0 +1,101 @@
+const prisma = require("./prismaService");
+const reviewService = require("./reviewService");
+const syncJobService = require("./syncJobService");
+const HttpError = require("../utils/httpError");
+const { hashVisitorToken, hashClientIp } = require("../utils/visitorHash");
+const config = require("../config");
+
+// Review counter updated by each vote value
+const COUNTERS = {
+  HELPFUL: "helpfulCount",
+  NOT_HELPFUL: "notHelpfulCount",
+};
+
+function isUniqueViolation(error) {
+  return error && error.code === "P2002";
+}
+
+class VoteService {
+  /**
+   * Record a visitor's ({ token, ip }) helpful / not helpful vote on an
+   * approved review. Voting again with the same value changes nothing, voting
+   * the other way moves the vote. New votes from an IP that already cast
+   * maxPerIpPerReview on the review are refused with a 429. Counts are copied
+   * to the metaobject by a delayed review.votes job, queued once per burst of
+   * votes.
+   * Returns { review, vote, changed }.
+   */
+  async vote(ratingId, visitor, value) {
+    if (!COUNTERS[value]) {
+      throw new HttpError(400, `Unknown vote: ${value}`);
+    }
+
+    const review = await reviewService.findByRatingId(ratingId);
+    if (!review || review.moderationStatus !== "APPROVED") {
+      throw new HttpError(404, "Review not found");
+    }
+
+    const voter = {
+      voterHash: hashVisitorToken(visitor.token),
+      ipHash: hashClientIp(visitor.ip),
+    };
+
+    try {
+      return await this.applyVote(review.id, voter, value);
+    } catch (error) {
+      // The same visitor voted twice at once: the other request created the
+      // vote, this one now finds it
+      if (isUniqueViolation(error)) {
+        return this.applyVote(review.id, voter, value);
+      }
+      throw error;
+    }
+  }
+
+  async applyVote(reviewId, { voterHash, ipHash }, value) {
+    return prisma.$transaction(async (tx) => {
+      const where = { reviewId_voterHash: { reviewId, voterHash } };
+      const existing = await tx.reviewVote.findUnique({ where });
+
+      if (existing && existing.value === value) {
+        const review = await tx.review.findUnique({ where: { id: reviewId } });
+        return { review, vote: value, changed: false };
+      }
+
+      const counts = { [COUNTERS[value]]: { increment: 1 } };
+      if (existing) {
+        await tx.reviewVote.update({ where, data: { value } });
+        counts[COUNTERS[existing.value]] = { decrement: 1 };
+      } else {
+        const votesFromIp = ipHash
+          ? await tx.reviewVote.count({ where: { reviewId, ipHash } })
+          : 0;
+        if (votesFromIp >= config.votes.maxPerIpPerReview) {
+          throw new HttpError(
+            429,
+            "Too many votes on this review from your network"
+          );
+        }
+        await tx.reviewVote.create({
+          data: { reviewId, voterHash, ipHash, value },
+        });
+      }
+
+      const review = await tx.review.update({
+        where: { id: reviewId },
+        data: counts,
+      });
+      await syncJobService.enqueueOnce(
+        "review.votes",
+        {
+          payload: { reviewId },
+          runAt: new Date(Date.now() + config.votes.mirrorDelayMs),
+        },
+        tx
+      );
+      return { review, vote: value, changed: true };
+    });
+  }
+}
+
+module.exports = new VoteService();
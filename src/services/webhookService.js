@@ -0,0 +1,175 @@
+const prisma = require("./prismaService");
+const reviewService = require("./reviewService");
+const reviewRequestService = require("./reviewRequestService");
+const cacheService = require("./cacheService");
+const privacyService = require("./privacyService");
+const syncJobService = require("./syncJobService");
+
+function isUniqueViolation(error) {
+  return error && error.code === "P2002";
+}
+
+/**
+ * Order from a REST webhook payload in the shape
+ * reviewRequestService.scheduleForOrder takes
+ */
+function fromRestOrder(payload) {
+  const products = [];
+  (payload.line_items || []).forEach((item) => {
+    // Custom items, and the same product bought in several sizes
+    if (
+      !item.product_id ||
+      products.some((p) => p.productId === String(item.product_id))
+    ) {
+      return;
+    }
+    products.push({
+      productId: String(item.product_id),
+      title: item.title,
+      handle: null, // not in the order payload
+      imageUrl: null,
+      variantTitle: item.variant_title || null,
+    });
+  });
+
+  const fulfilledAt = (payload.fulfillments || [])
+    .map((fulfillment) => new Date(fulfillment.created_at))
+    .reduce((latest, date) => (!latest || date > latest ? date : latest), null);
+
+  return {
+    id: payload.admin_graphql_api_id || `gid://shopify/Order/${payload.id}`,
+    name: payload.name,
+    email:
+      payload.email ||
+      payload.contact_email ||
+      (payload.customer && payload.customer.email) ||
+      null,
+    customerName: (payload.customer && payload.customer.first_name) || null,
+    fulfilledAt: fulfilledAt || new Date(),
+    products,
+  };
+}
+
+/**
+ * Topic handlers, run by the webhook.process job. A handler throws to have
+ * the job retried with backoff, so each one must be safe to run again.
+ */
+const TOPIC_HANDLERS = {
+  "products/delete": async (payload) => {
+    const productId = String(payload.id);
+    const deleted = await reviewService.deleteProductReviews(productId);
+    await reviewRequestService.removeProduct(productId);
+    await cacheService.invalidateProduct(productId);
+    console.log(
+      `[Webhooks] Product ${productId} deleted, removed ${deleted} review(s)`
+    );
+  },
+
+  "orders/fulfilled": async (payload) => {
+    const order = fromRestOrder(payload);
+    if (order.email && order.products.length > 0) {
+      const verified = await reviewService.recordVerifiedPurchase({
+        email: order.email,
+        orderId: order.id,
+        productIds: order.products.map((product) => product.productId),
+      });
+      if (verified > 0) {
+        console.log(
+          `[Webhooks] Order ${order.name} verified ${verified} existing review(s)`
+        );
+      }
+    }
+    await reviewRequestService.scheduleForOrder(order);
+  },
+
+  "products/update": async (payload) => {
+    const productId = String(payload.id);
+    const changed = await reviewRequestService.refreshProductDetails({
+      productId,
+      title: payload.title,
+      handle: payload.handle,
+      imageUrl: payload.image ? payload.image.src : null,
+    });
+    if (changed > 0) {
+      console.log(
+        `[Webhooks] Product ${productId} updated in ${changed} scheduled review request(s)`
+      );
+    }
+  },
+
+  // Mandatory privacy webhooks
+  "customers/data_request": (payload) =>
+    privacyService.exportCustomerData({
+      customerId: payload.customer && payload.customer.id,
+      email: payload.customer && payload.customer.email,
+      orderIds: payload.orders_requested,
+      dataRequestId: payload.data_request && payload.data_request.id,
+    }),
+
+  "customers/redact": (payload) =>
+    privacyService.redactCustomer({
+      customerId: payload.customer && payload.customer.id,
+      email: payload.customer && payload.customer.email,
+      orderIds: payload.orders_to_redact,
+    }),
+
+  "shop/redact": (payload) =>
+    privacyService.redactShop({ shopDomain: payload.shop_domain }),
+};
+
+class WebhookService {
+  isHandled(topic) {
+    return Boolean(TOPIC_HANDLERS[topic]);
+  }
+
+  /**
+   * Record a verified webhook delivery and queue its processing. Shopify
+   * retries deliveries it considers failed, so a webhook ID seen before is
+   * ignored. Returns { delivery, duplicate }.
+   */
+  async receive({ id, topic, shopDomain, payload }) {
+    try {
+      const delivery = await prisma.$transaction(async (tx) => {
+        const created = await tx.webhookDelivery.create({
+          data: { webhookId: id, topic, shopDomain, payload },
+        });
+        await syncJobService.enqueue(
+          "webhook.process",
+          { payload: { deliveryId: created.id } },
+          tx
+        );
+        return created;
+      });
+      return { delivery, duplicate: false };
+    } catch (error) {
+      if (isUniqueViolation(error)) {
+        const delivery = await prisma.webhookDelivery.findUnique({
+          where: { webhookId: id },
+        });
+        return { delivery, duplicate: true };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Run the topic handler of a stored delivery
+   */
+  async process(deliveryId) {
+    const delivery = await prisma.webhookDelivery.findUnique({
+      where: { id: deliveryId },
+    });
+    if (!delivery || delivery.processedAt) {
+      return;
+    }
+
+    await TOPIC_HANDLERS[delivery.topic](delivery.payload);
+    // Payloads carry customer data, only the webhook ID is needed from now on
+    await prisma.webhookDelivery.update({
+      where: { id: delivery.id },
+      data: { processedAt: new Date(), payload: {} },
+    });
+  }
+}
+
+module.exports = new WebhookService();
@@ -0,0 +1,91 @@
+const { escapeHtml } = require("../utils/escapeHtml");
+
+function subjectFor(products) {
+  return products.length === 1
+    ? `How do your ${products[0].title} fit?`
+    : "How does your order fit?";
+}
+
+function productHtml(product) {
+  const image = product.imageUrl
+    ? `<img src="${escapeHtml(
+        product.imageUrl
+      )}" alt="" width="96" style="display:block;border-radius:6px;">`
+    : "";
+  const variant = product.variantTitle
+    ? `<div style="color:#666;font-size:14px;">${escapeHtml(
+        product.variantTitle
+      )}</div>`
+    : "";
+
+  return `
+        <tr>
+          <td style="padding:12px 0;width:112px;">${image}</td>
+          <td style="padding:12px 0;">
+            <div style="font-weight:600;">${escapeHtml(product.title)}</div>
+            ${variant}
+            <a href="${escapeHtml(
+              product.reviewUrl
+            )}" style="display:inline-block;margin-top:8px;padding:8px 16px;background:#111;color:#fff;text-decoration:none;border-radius:4px;">Write a review</a>
+          </td>
+        </tr>`;
+}
+
+/**
+ * "How do your jeans fit?" email sent some days after an order ships.
+ * products: [{ title, imageUrl, variantTitle, reviewUrl }]
+ * Returns { subject, html, text }.
+ */
+function renderReviewRequestEmail({
+  customerName,
+  products,
+  unsubscribeUrl,
+  shopName,
+}) {
+  const greeting = customerName ? `Hi ${customerName},` : "Hi,";
+  const intro =
+    "You've had your order for a little while now. How is the fit? " +
+    "A quick review helps other shoppers pick the right size.";
+
+  const html = `<!DOCTYPE html>
+<html>
+  <body style="font-family:Arial,sans-serif;color:#111;max-width:560px;margin:0 auto;padding:24px;">
+    <p>${escapeHtml(greeting)}</p>
+    <p>${escapeHtml(intro)}</p>
+    <table role="presentation" cellspacing="0" cellpadding="0" style="width:100%;">${products
+      .map(productHtml)
+      .join("")}
+    </table>
+    <p>Thanks for shopping with ${escapeHtml(shopName)}!</p>
+    <p style="color:#999;font-size:12px;">
+      You received this email because you ordered from ${escapeHtml(shopName)}.
+      <a href="${escapeHtml(
+        unsubscribeUrl
+      )}" style="color:#999;">Unsubscribe from review requests</a>
+    </p>
+  </body>
+</html>`;
+
+  const text = [
+    greeting,
+    "",
+    intro,
+    "",
+    ...products.map(
+      (product) =>
+        `${product.title}${
+          product.variantTitle ? ` (${product.variantTitle})` : ""
+        }: ${product.reviewUrl}`
+    ),
+    "",
+    `Thanks for shopping with ${shopName}!`,
+    "",
+    `Unsubscribe from review requests: ${unsubscribeUrl}`,
+  ].join("\n");
+
+  return { subject: subjectFor(products), html, text };
+}
+
+module.exports = {
+  renderReviewRequestEmail,
+};
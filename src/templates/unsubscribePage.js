@@ -0,0 +1,54 @@
+const { escapeHtml } = require("../utils/escapeHtml");
+
+function page(title, body) {
+  return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${escapeHtml(title)}</title>
+  </head>
+  <body style="font-family:Arial,sans-serif;color:#111;max-width:480px;margin:48px auto;padding:0 24px;">
+    <h1 style="font-size:22px;">${escapeHtml(title)}</h1>
+    ${body}
+  </body>
+</html>`;
+}
+
+/**
+ * Confirmation page behind the unsubscribe link. Unsubscribing takes a POST,
+ * so link scanners that open every URL in an email don't opt people out.
+ */
+function renderUnsubscribeConfirmation({ email, action }) {
+  return page(
+    "Unsubscribe from review requests",
+    `<p>Stop sending review request emails to <strong>${escapeHtml(
+      email
+    )}</strong>?</p>
+    <form method="post" action="${escapeHtml(action)}">
+      <button type="submit" style="padding:8px 16px;">Unsubscribe</button>
+    </form>`
+  );
+}
+
+function renderUnsubscribed({ email }) {
+  return page(
+    "You're unsubscribed",
+    `<p>We won't send review request emails to <strong>${escapeHtml(
+      email
+    )}</strong> anymore.</p>`
+  );
+}
+
+function renderInvalidLink() {
+  return page(
+    "Invalid link",
+    "<p>This unsubscribe link is not valid. Please use the link from the latest email.</p>"
+  );
+}
+
+module.exports = {
+  renderUnsubscribeConfirmation,
+  renderUnsubscribed,
+  renderInvalidLink,
+};
@@ -0,0 +1,18 @@
+const ENTITIES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+/**
+ * Escape a value for use in HTML text or a quoted attribute
+ */
+function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, (char) => ENTITIES[char]);
+}
+
+module.exports = {
+  escapeHtml,
+};
@@ -0,0 +1,75 @@
+// ISO base media (MP4/MOV/HEIC) brands found after the "ftyp" box header.
+// Other brands (AVIF, 3GP…) are not recognized
+const MP4_BRANDS = [
+  "isom",
+  "iso2",
+  "iso4",
+  "iso5",
+  "iso6",
+  "mp41",
+  "mp42",
+  "avc1",
+  "M4V ",
+  "dash",
+];
+const QUICKTIME_BRANDS = ["qt  "];
+const HEIC_BRANDS = ["heic", "heix", "heim", "heis", "mif1", "msf1"];
+
+function startsWith(buffer, bytes, offset = 0) {
+  return bytes.every((byte, index) => buffer[offset + index] === byte);
+}
+
+/**
+ * Detect a media file's type from its leading bytes.
+ * Returns { mimeType, extension } or null when the format is not recognized.
+ */
+function detectFileType(buffer) {
+  if (!buffer || buffer.length < 12) {
+    return null;
+  }
+
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) {
+    return { mimeType: "image/jpeg", extension: "jpg" };
+  }
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) {
+    return { mimeType: "image/png", extension: "png" };
+  }
+  if (
+    buffer.toString("ascii", 0, 6) === "GIF87a" ||
+    buffer.toString("ascii", 0, 6) === "GIF89a"
+  ) {
+    return { mimeType: "image/gif", extension: "gif" };
+  }
+  if (
+    buffer.toString("ascii", 0, 4) === "RIFF" &&
+    buffer.toString("ascii", 8, 12) === "WEBP"
+  ) {
+    return { mimeType: "image/webp", extension: "webp" };
+  }
+  if (buffer.toString("ascii", 4, 8) === "ftyp") {
+    const brand = buffer.toString("ascii", 8, 12);
+    if (HEIC_BRANDS.includes(brand)) {
+      return { mimeType: "image/heic", extension: "heic" };
+    }
+    if (QUICKTIME_BRANDS.includes(brand)) {
+      return { mimeType: "video/quicktime", extension: "mov" };
+    }
+    if (MP4_BRANDS.includes(brand)) {
+      return { mimeType: "video/mp4", extension: "mp4" };
+    }
+    return null;
+  }
+  if (startsWith(buffer, [0x1a, 0x45, 0xdf, 0xa3])) {
+    // EBML container: the DocType tells WebM and Matroska apart
+    const header = buffer.toString("ascii", 0, Math.min(buffer.length, 64));
+    return header.includes("webm")
+      ? { mimeType: "video/webm", extension: "webm" }
+      : { mimeType: "video/x-matroska", extension: "mkv" };
+  }
+
+  return null;
+}
+
+module.exports = {
+  detectFileType,
+};
@@ -0,0 +1,13 @@
+/**
+ * Error carrying the HTTP status a controller should answer with
+ */
+class HttpError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.details = details;
+  }
+}
+
+module.exports = HttpError;
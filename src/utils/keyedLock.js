@@ -0,0 +1,26 @@
+/**
+ * Serialize async work per key within this process: callbacks sharing a key
+ * run one after another, callbacks with different keys run concurrently.
+ */
+function createKeyedLock() {
+  const tails = new Map();
+
+  return async function withLock(key, fn) {
+    const previous = tails.get(key) || Promise.resolve();
+    const run = previous.then(() => fn());
+    const tail = run.catch(() => {});
+    tails.set(key, tail);
+
+    try {
+      return await run;
+    } finally {
+      if (tails.get(key) === tail) {
+        tails.delete(key);
+      }
+    }
+  };
+}
+
+module.exports = {
+  createKeyedLock,
+};
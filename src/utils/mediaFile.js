@@ -0,0 +1,62 @@
+const crypto = require("crypto");
+const config = require("../config");
+const HttpError = require("./httpError");
+const { detectFileType } = require("./fileType");
+
+function formatMegabytes(bytes) {
+  return `${Math.round((bytes / (1024 * 1024)) * 10) / 10}MB`;
+}
+
+/**
+ * Build the file object stored with a review from uploaded bytes. The type
+ * comes from the file's magic bytes, never from the client, and must match
+ * the field it was sent in (`kind` is "image" or "video"; null takes the kind
+ * from the detected type).
+ * Throws an HttpError with 413 or 415 when the file is not accepted.
+ */
+function toMediaFile(buffer, kind, label = kind || "file") {
+  const { maxFileSize, allowedTypes } = config.upload;
+
+  if (buffer.length > maxFileSize) {
+    throw new HttpError(
+      413,
+      `${label} is ${formatMegabytes(
+        buffer.length
+      )}, the limit is ${formatMegabytes(maxFileSize)}`
+    );
+  }
+
+  const detected = detectFileType(buffer);
+  if (!detected || !allowedTypes.includes(detected.mimeType)) {
+    throw new HttpError(
+      415,
+      `${label} must be one of: ${allowedTypes.join(", ")}${
+        detected ? ` (received ${detected.mimeType})` : ""
+      }`
+    );
+  }
+  kind = kind || detected.mimeType.split("/")[0];
+  if (!detected.mimeType.startsWith(`${kind}/`)) {
+    throw new HttpError(
+      415,
+      `${label} must be ${
+        kind === "image" ? "an image" : "a video"
+      } (received ${detected.mimeType})`
+    );
+  }
+
+  return {
+    kind,
+    buffer,
+    size: buffer.length,
+    type: detected.mimeType,
+    // Several files of a review can arrive in the same millisecond
+    name: `review-${kind}-${Date.now()}-${crypto
+      .randomBytes(3)
+      .toString("hex")}.${detected.extension}`,
+  };
+}
+
+module.exports = {
+  toMediaFile,
+};
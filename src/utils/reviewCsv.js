@@ -0,0 +1,248 @@
+const crypto = require("crypto");
+const { parse } = require("csv-parse/sync");
+const HttpError = require("./httpError");
+
+// Review fields any export may carry under our own column names
+const COMMON_COLUMNS = {
+  ageRange: ["age_range"],
+  sizePurchased: ["size_purchased"],
+  fitRating: ["fit_rating"],
+  shippingRating: ["shipping_rating"],
+  recommendsProduct: ["recommends_product"],
+};
+
+/**
+ * Export formats of the review apps we import from: how to recognize each
+ * one from its header row, and the columns (normalized, see normalizeHeader)
+ * holding each field, first match wins
+ */
+const FORMATS = {
+  shopify: {
+    label: "Shopify Product Reviews",
+    detect: (headers) =>
+      headers.includes("product_handle") && headers.includes("state"),
+    columns: {
+      handle: ["product_handle"],
+      rating: ["rating"],
+      title: ["title"],
+      body: ["body"],
+      authorName: ["author"],
+      authorEmail: ["email"],
+      createdAt: ["created_at"],
+      status: ["state"],
+      reply: ["reply"],
+    },
+  },
+  judgeme: {
+    label: "Judge.me",
+    detect: (headers) => headers.includes("reviewer_name"),
+    columns: {
+      externalId: ["id", "review_id"],
+      productId: ["product_id"],
+      handle: ["product_handle"],
+      sku: ["product_sku", "sku"],
+      rating: ["rating"],
+      title: ["title"],
+      body: ["body"],
+      authorName: ["reviewer_name"],
+      authorEmail: ["reviewer_email"],
+      createdAt: ["review_date", "created_at"],
+      status: ["curated", "published"],
+      reply: ["reply"],
+      photoUrls: ["picture_urls"],
+    },
+  },
+  yotpo: {
+    label: "Yotpo",
+    detect: (headers) =>
+      headers.includes("review_content") || headers.includes("review_score"),
+    columns: {
+      externalId: ["review_id", "id"],
+      productId: ["product_id"],
+      productUrl: ["product_url"],
+      sku: ["sku", "product_sku"],
+      rating: ["review_score", "score"],
+      title: ["review_title", "title"],
+      body: ["review_content", "content"],
+      authorName: ["display_name", "reviewer_display_name", "user_name"],
+      authorEmail: ["email", "user_email"],
+      createdAt: ["date", "created_at"],
+      status: ["published", "status"],
+      reply: ["comment_content", "public_comment"],
+      photoUrls: ["published_image_url", "published_image_urls", "image_url"],
+    },
+  },
+};
+
+const APPROVED_VALUES = ["ok", "published", "approved", "true", "yes", "1"];
+
+// "Reviewer Name" → "reviewer_name"
+function normalizeHeader(header) {
+  return header
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_|_$/g, "");
+}
+
+function pick(record, names) {
+  const name = names.find((n) => record[n] !== undefined && record[n] !== "");
+  return name ? record[name] : undefined;
+}
+
+// Reviews that were live in the old app stay live; anything hidden waits for
+// moderation
+function toModerationStatus(value) {
+  if (value === undefined) {
+    return "APPROVED";
+  }
+  const status = value.toLowerCase();
+  if (APPROVED_VALUES.includes(status)) {
+    return "APPROVED";
+  }
+  return status === "spam" ? "SPAM" : "PENDING";
+}
+
+function toBoolean(value) {
+  return value === undefined
+    ? undefined
+    : APPROVED_VALUES.includes(value.toLowerCase());
+}
+
+// https://shop.com/products/slim-jeans?variant=1 → "slim-jeans"
+function handleFromUrl(url) {
+  const match = url && url.match(/\/products\/([^/?#]+)/);
+  return match ? decodeURIComponent(match[1]) : undefined;
+}
+
+function photoUrlsFrom(value) {
+  return (value || "")
+    .split(/[\s,;|]+/)
+    .filter((url) => /^https?:\/\//i.test(url));
+}
+
+// Exports without review IDs are keyed by the row's content, so the same row
+// always gets the same ID
+function contentKey(fields, product) {
+  return crypto
+    .createHash("sha256")
+    .update(
+      JSON.stringify([
+        product,
+        fields.authorName,
+        fields.authorEmail,
+        fields.rating,
+        fields.title,
+        fields.body,
+      ])
+    )
+    .digest("hex")
+    .slice(0, 32);
+}
+
+/**
+ * One CSV record as an import row: the review fields (createReviewSchema
+ * names, still unvalidated strings), how to find the product, and what the
+ * review schema does not cover
+ */
+function toImportRow(record, columns) {
+  const value = (field) => columns[field] && pick(record, columns[field]);
+
+  const fields = {};
+  [
+    "rating",
+    "title",
+    "body",
+    "authorName",
+    "authorEmail",
+    ...Object.keys(COMMON_COLUMNS),
+  ].forEach((field) => {
+    if (value(field) !== undefined) {
+      fields[field] = value(field);
+    }
+  });
+  if (fields.recommendsProduct !== undefined) {
+    fields.recommendsProduct = toBoolean(fields.recommendsProduct);
+  }
+
+  const product = {
+    productId: value("productId"),
+    handle: value("handle") || handleFromUrl(value("productUrl")),
+    sku: value("sku"),
+  };
+
+  const errors = [];
+  let createdAt = null;
+  if (value("createdAt") !== undefined) {
+    createdAt = new Date(value("createdAt"));
+    if (Number.isNaN(createdAt.getTime())) {
+      errors.push(`Unreadable date "${value("createdAt")}"`);
+    }
+  }
+
+  return {
+    externalId: value("externalId") || contentKey(fields, product),
+    product,
+    fields,
+    createdAt,
+    moderationStatus: toModerationStatus(
+      columns.status && columns.status.some((n) => n in record)
+        ? pick(record, columns.status) || ""
+        : undefined
+    ),
+    reply: value("reply") || null,
+    photoUrls: photoUrlsFrom(value("photoUrls")),
+    errors,
+  };
+}
+
+/**
+ * Parse a review app's CSV export. The format is detected from the header
+ * row unless given. Returns { format, rows }.
+ * Throws an HttpError (400) for unreadable CSV or an unknown format.
+ */
+function parseReviewCsv(csv, format) {
+  if (format && !FORMATS[format]) {
+    throw new HttpError(
+      400,
+      `Unknown format "${format}", expected one of: ${Object.keys(FORMATS).join(
+        ", "
+      )}`
+    );
+  }
+
+  let records;
+  try {
+    records = parse(csv, {
+      columns: (headers) => headers.map(normalizeHeader),
+      bom: true,
+      trim: true,
+      skip_empty_lines: true,
+      relax_column_count: true,
+    });
+  } catch (error) {
+    throw new HttpError(400, `Invalid CSV: ${error.message}`);
+  }
+
+  const headers = records.length > 0 ? Object.keys(records[0]) : [];
+  const detected =
+    format ||
+    Object.keys(FORMATS).find((name) => FORMATS[name].detect(headers));
+  if (!detected) {
+    throw new HttpError(
+      400,
+      "Unrecognized CSV columns, expected a Judge.me, Yotpo or Shopify Product Reviews export"
+    );
+  }
+
+  const columns = { ...COMMON_COLUMNS, ...FORMATS[detected].columns };
+  return {
+    format: detected,
+    rows: records.map((record) => toImportRow(record, columns)),
+  };
+}
+
+module.exports = {
+  IMPORT_FORMATS: Object.keys(FORMATS),
+  parseReviewCsv,
+};
@@ -0,0 +1,40 @@
+const config = require("../config");
+const { signToken, verifyToken } = require("./signedToken");
+
+const TOKEN_TYPE = "review_edit";
+
+/**
+ * Issue the token that lets the author of a review edit or delete it.
+ * Returns { token, expiresAt, url }, or null when no signing secret is
+ * configured.
+ */
+function issueEditToken(reviewId) {
+  const { secret, tokenTtlSeconds, url } = config.reviewEdit;
+  if (!secret) {
+    return null;
+  }
+
+  const token = signToken({ typ: TOKEN_TYPE, sub: reviewId }, secret, {
+    expiresInSeconds: tokenTtlSeconds,
+  });
+
+  return {
+    token,
+    expiresAt: new Date(Date.now() + tokenTtlSeconds * 1000).toISOString(),
+    url: url ? url.replace("{token}", encodeURIComponent(token)) : null,
+  };
+}
+
+/**
+ * The review ID an edit token was issued for, or null when the token is
+ * invalid, expired or of another kind
+ */
+function readEditToken(token) {
+  const payload = verifyToken(token, config.reviewEdit.secret);
+  return payload && payload.typ === TOKEN_TYPE ? payload.sub : null;
+}
+
+module.exports = {
+  issueEditToken,
+  readEditToken,
+};
@@ -0,0 +1,59 @@
+const config = require("../config");
+const { signToken, verifyToken } = require("./signedToken");
+
+const REQUEST_TOKEN = "review_request";
+const UNSUBSCRIBE_TOKEN = "unsubscribe";
+
+/**
+ * Token for the review links of a review request email: who bought which
+ * products in which order, so the review can be pre-filled and marked as
+ * from a verified buyer
+ */
+function issueRequestToken(request, productIds) {
+  const { secret, tokenTtlDays } = config.reviewRequests;
+  return signToken(
+    {
+      typ: REQUEST_TOKEN,
+      sub: request.id,
+      email: request.email,
+      orderId: request.shopifyOrderId,
+      productIds,
+    },
+    secret,
+    { expiresInSeconds: tokenTtlDays * 24 * 60 * 60 }
+  );
+}
+
+/**
+ * Payload of a review request token, or null when it is invalid or expired
+ */
+function readRequestToken(token) {
+  const payload = verifyToken(token, config.reviewRequests.secret);
+  return payload && payload.typ === REQUEST_TOKEN ? payload : null;
+}
+
+/**
+ * Token for an unsubscribe link. It does not expire, an old email must still
+ * let its recipient opt out.
+ */
+function issueUnsubscribeToken(email) {
+  return signToken(
+    { typ: UNSUBSCRIBE_TOKEN, sub: email.toLowerCase() },
+    config.reviewRequests.secret
+  );
+}
+
+/**
+ * The email address of an unsubscribe token, or null when it is invalid
+ */
+function readUnsubscribeToken(token) {
+  const payload = verifyToken(token, config.reviewRequests.secret);
+  return payload && payload.typ === UNSUBSCRIBE_TOKEN ? payload.sub : null;
+}
+
+module.exports = {
+  issueRequestToken,
+  readRequestToken,
+  issueUnsubscribeToken,
+  readUnsubscribeToken,
+};
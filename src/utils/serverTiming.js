@@ -0,0 +1,41 @@
+/**
+ * Collect durations for a Server-Timing response header. measure() times an
+ * async step and returns its result.
+ */
+function createServerTiming() {
+  const entries = [];
+
+  function record(name, durationMs, description) {
+    entries.push({ name, durationMs, description });
+  }
+
+  async function measure(name, fn, description) {
+    const start = process.hrtime.bigint();
+    try {
+      return await fn();
+    } finally {
+      const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+      record(
+        name,
+        durationMs,
+        typeof description === "function" ? description() : description
+      );
+    }
+  }
+
+  function toHeader() {
+    return entries
+      .map(
+        ({ name, durationMs, description }) =>
+          `${name};dur=${durationMs.toFixed(1)}` +
+          (description ? `;desc="${description.replace(/"/g, "'")}"` : "")
+      )
+      .join(", ");
+  }
+
+  return { record, measure, toHeader, entries };
+}
+
+module.exports = {
+  createServerTiming,
+};
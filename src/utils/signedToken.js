@@ -0,0 +1,83 @@
+const crypto = require("crypto");
+
+function toBase64Url(buffer) {
+  return Buffer.from(buffer)
+    .toString("base64")
+    .replace(/=+$/, "")
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_");
+}
+
+function fromBase64Url(value) {
+  const base64 = value.replace(/-/g, "+").replace(/_/g, "/");
+  return Buffer.from(base64, "base64");
+}
+
+function computeSignature(encodedPayload, secret) {
+  return toBase64Url(
+    crypto.createHmac("sha256", secret).update(encodedPayload).digest()
+  );
+}
+
+/**
+ * Sign a JSON payload as `<payload>.<signature>` (HMAC-SHA256, base64url).
+ * When expiresInSeconds is set an `exp` claim (unix seconds) is added.
+ */
+function signToken(payload, secret, { expiresInSeconds } = {}) {
+  if (!secret) {
+    throw new Error("A signing secret is required");
+  }
+
+  const claims = {
+    ...payload,
+    iat: Math.floor(Date.now() / 1000),
+  };
+  if (expiresInSeconds) {
+    claims.exp = claims.iat + expiresInSeconds;
+  }
+
+  const encodedPayload = toBase64Url(JSON.stringify(claims));
+  return `${encodedPayload}.${computeSignature(encodedPayload, secret)}`;
+}
+
+/**
+ * Verify a token produced by signToken.
+ * Returns the payload, or null when the token is malformed, tampered or expired.
+ */
+function verifyToken(token, secret) {
+  if (!token || !secret || typeof token !== "string") {
+    return null;
+  }
+
+  const [encodedPayload, signature] = token.split(".");
+  if (!encodedPayload || !signature) {
+    return null;
+  }
+
+  const expected = Buffer.from(computeSignature(encodedPayload, secret));
+  const received = Buffer.from(signature);
+  if (
+    expected.length !== received.length ||
+    !crypto.timingSafeEqual(expected, received)
+  ) {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(fromBase64Url(encodedPayload).toString("utf8"));
+  } catch (_) {
+    return null;
+  }
+
+  if (payload.exp && payload.exp < Math.floor(Date.now() / 1000)) {
+    return null;
+  }
+
+  return payload;
+}
+
+module.exports = {
+  signToken,
+  verifyToken,
+};
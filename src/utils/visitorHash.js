@@ -0,0 +1,58 @@
+const crypto = require("crypto");
+const config = require("../config");
+
+function hmac(value) {
+  return crypto.createHmac("sha256", config.visitors.secret).update(value);
+}
+
+/**
+ * HMAC of an anonymous visitor token. Only the hash is stored, so the vote and
+ * report tables cannot be used to replay a token or follow a visitor around.
+ */
+function hashVisitorToken(visitorToken) {
+  return hmac(visitorToken).digest("hex");
+}
+
+/**
+ * HMAC of a client IP address, stored to cap votes and count reports per
+ * network without keeping the address itself
+ */
+function hashClientIp(ip) {
+  return ip ? hmac(`ip:${ip.replace(/^::ffff:/, "")}`).digest("hex") : null;
+}
+
+/**
+ * Issue a new visitor token: a random ID signed by this server, so clients
+ * cannot make up their own
+ */
+function issueVisitorToken() {
+  const id = crypto.randomBytes(24).toString("base64url");
+  return `${id}.${hmac(`visitor:${id}`).digest("base64url")}`;
+}
+
+/**
+ * Whether a token was issued by issueVisitorToken
+ */
+function isValidVisitorToken(token) {
+  if (typeof token !== "string" || token.length > 200) {
+    return false;
+  }
+  const [id, signature, ...rest] = token.split(".");
+  if (!id || !signature || rest.length > 0) {
+    return false;
+  }
+
+  const expected = Buffer.from(hmac(`visitor:${id}`).digest("base64url"));
+  const received = Buffer.from(signature);
+  return (
+    expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received)
+  );
+}
+
+module.exports = {
+  hashVisitorToken,
+  hashClientIp,
+  issueVisitorToken,
+  isValidVisitorToken,
+};
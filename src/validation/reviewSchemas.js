@@ -0,0 +1,36 @@
+const Joi = require("joi");
+const config = require("../config");
+
+// A review submitted by a shopper (POST /api/reviews); CSV imports map their
+// columns onto the same fields
+const createReviewSchema = Joi.object({
+  productId: Joi.number().integer().positive().required(),
+  rating: Joi.number().integer().min(1).max(5).required(),
+  title: Joi.string().min(1).max(200).required(),
+  body: Joi.string().min(1).max(2000).required(),
+  authorName: Joi.string().min(1).max(100).required(),
+  // Taken from the review link when requestToken is sent
+  authorEmail: Joi.string()
+    .email()
+    .when("requestToken", { is: Joi.exist(), then: Joi.optional() })
+    .required(),
+  // Decided server-side from Shopify orders, whatever the client sends
+  isVerifiedBuyer: Joi.any().strip(),
+  requestToken: Joi.string().optional(), // from a review request email link
+  ageRange: Joi.string().max(50).optional(),
+  sizePurchased: Joi.string().max(50).optional(),
+  fitRating: Joi.number().integer().min(1).max(5).required(),
+  sizeFit: Joi.number().integer().min(1).max(5).optional(), // 1 runs very small, 3 true to size, 5 runs very large
+  shippingRating: Joi.number().integer().min(1).max(5).optional(),
+  recommendsProduct: Joi.boolean().optional(),
+  image: Joi.string().optional(), // Base64 encoded image
+  video: Joi.string().optional(), // Base64 encoded video
+  media: Joi.array()
+    .items(Joi.string())
+    .max(config.upload.maxMediaItems)
+    .optional(), // Base64 encoded photos and videos
+});
+
+module.exports = {
+  createReviewSchema,
+};
@@ -0,0 +1,27 @@
+const reviewSyncService = require("../services/reviewSyncService");
+const ratingSummaryService = require("../services/ratingSummaryService");
+const reviewRequestService = require("../services/reviewRequestService");
+const webhookService = require("../services/webhookService");
+const privacyService = require("../services/privacyService");
+
+/**
+ * Outbox job handlers, keyed by job type.
+ * A handler throws to have the job retried with backoff.
+ */
+module.exports = {
+  "review.create": (job) => reviewSyncService.pushNewReview(job.reviewId),
+  "review.update": (job) =>
+    job.reviewId
+      ? reviewSyncService.pushReviewUpdate(job.reviewId)
+      : reviewSyncService.pushMetaobjectFields(job.payload),
+  "review.delete": (job) => reviewSyncService.pushReviewDelete(job.payload),
+  "review.reply": (job) => reviewSyncService.pushReply(job.reviewId),
+  "review.votes": (job) =>
+    reviewSyncService.pushVoteCounts(job.payload.reviewId),
+  "product.summary": (job) =>
+    ratingSummaryService.refreshProduct(job.payload.productId),
+  "review_request.send": (job) =>
+    reviewRequestService.send(job.payload.reviewRequestId),
+  "webhook.process": (job) => webhookService.process(job.payload.deliveryId),
+  "files.delete": (job) => privacyService.deleteFiles(job.payload.fileIds),
+};
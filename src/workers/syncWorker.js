@@ -0,0 +1,126 @@
+const config = require("../config");
+const syncJobService = require("../services/syncJobService");
+
+class SyncWorker {
+  constructor() {
+    this.timer = null;
+    this.polling = false;
+  }
+
+  /**
+   * Start polling the outbox for due jobs
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    console.log(
+      `[SyncWorker] Started, polling every ${config.sync.pollIntervalMs}ms`
+    );
+    this.timer = setInterval(() => this.poll(), config.sync.pollIntervalMs);
+    this.poll();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Process one batch of due jobs. Overlapping polls are skipped.
+   */
+  async poll() {
+    if (this.polling) {
+      return;
+    }
+
+    this.polling = true;
+    try {
+      const released = await syncJobService.releaseStaleLocks();
+      released.forEach((job) => {
+        if (job.status === "DEAD") {
+          console.error(
+            `[SyncWorker] ${job.type} job ${job.id} moved to dead-letter after ${job.attempts} attempts: lock timed out`
+          );
+        } else {
+          console.warn(
+            `[SyncWorker] Released stale lock of ${job.type} job ${job.id} (attempt ${job.attempts}/${job.maxAttempts})`
+          );
+        }
+      });
+
+      const jobs = await syncJobService.findDueJobs(config.sync.batchSize);
+      for (const job of jobs) {
+        await this.runJob(job);
+      }
+    } catch (error) {
+      console.error("[SyncWorker] Poll failed:", error);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Run a job right away instead of waiting for the next poll.
+   * Returns the job as stored after the attempt.
+   */
+  async runNow(jobId) {
+    const job = await syncJobService.getJob(jobId);
+    if (job) {
+      await this.runJob(job);
+    }
+    return syncJobService.getJob(jobId);
+  }
+
+  async runJob(job) {
+    // Loaded lazily: handlers depend on services that may enqueue jobs themselves
+    const jobHandlers = require("./jobHandlers");
+    const handler = jobHandlers[job.type];
+
+    const lockedAt = await syncJobService.claim(job.id);
+    if (!lockedAt) {
+      return;
+    }
+
+    try {
+      if (!handler) {
+        throw new Error(`No handler registered for job type "${job.type}"`);
+      }
+
+      console.log(
+        `[SyncWorker] Running ${job.type} job ${job.id} (attempt ${
+          job.attempts + 1
+        }/${job.maxAttempts})`
+      );
+      await handler(job);
+      if (!(await syncJobService.markCompleted(job.id, lockedAt))) {
+        console.warn(
+          `[SyncWorker] ${job.type} job ${job.id} finished after its lock was released, leaving it to the new run`
+        );
+      }
+    } catch (error) {
+      const updated = await syncJobService.markFailed(job, error, lockedAt);
+      if (!updated) {
+        console.warn(
+          `[SyncWorker] ${job.type} job ${job.id} failed after its lock was released, leaving it to the new run:`,
+          error.message
+        );
+      } else if (updated.status === "DEAD") {
+        console.error(
+          `[SyncWorker] ${job.type} job ${job.id} moved to dead-letter after ${updated.attempts} attempts:`,
+          error.message
+        );
+      } else {
+        console.warn(
+          `[SyncWorker] ${job.type} job ${
+            job.id
+          } failed, retrying at ${updated.runAt.toISOString()}:`,
+          error.message
+        );
+      }
+    }
+  }
+}
+
+module.exports = new SyncWorker();
@@ -0,0 +1,106 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+require("./helpers");
+
+process.env.ADMIN_API_KEYS = "support:viewer:viewer-key,ana:owner:owner-key";
+process.env.ADMIN_SESSION_SECRET = "test-session-secret";
+process.env.TRUST_PROXY = "1";
+
+const express = require("express");
+const config = require("../src/config");
+const { requireRole } = require("../src/middleware/auth");
+const { signToken } = require("../src/utils/signedToken");
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.set("trust proxy", config.trustProxy);
+  app.get("/viewer", requireRole("viewer"), (req, res) => res.json(req.admin));
+  app.get("/owner", requireRole("owner"), (req, res) => res.json(req.admin));
+  await new Promise((resolve) => {
+    server = app.listen(0, "127.0.0.1", resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+function request(path, headers = {}) {
+  return fetch(`${baseUrl}${path}`, { headers });
+}
+
+function sessionToken(claims, secret = process.env.ADMIN_SESSION_SECRET) {
+  return signToken({ typ: "admin_session", ...claims }, secret, {
+    expiresInSeconds: 60,
+  });
+}
+
+test("API keys grant their role and the roles below it", async () => {
+  const owner = await request("/viewer", { "X-API-Key": "owner-key" });
+  assert.equal(owner.status, 200);
+  assert.deepEqual(await owner.json(), {
+    name: "ana",
+    role: "owner",
+    method: "api_key",
+  });
+
+  const viewer = await request("/owner", { "X-API-Key": "viewer-key" });
+  assert.equal(viewer.status, 403);
+  assert.equal(
+    (await viewer.json()).message,
+    "This action requires the owner role"
+  );
+});
+
+test("session tokens must be signed with the session secret", async () => {
+  const valid = await request("/viewer", {
+    Authorization: `Bearer ${sessionToken({ sub: "ana", role: "viewer" })}`,
+  });
+  assert.equal(valid.status, 200);
+  assert.equal((await valid.json()).method, "session");
+
+  const forged = sessionToken({ sub: "eve", role: "owner" }, "other-secret");
+  const otherType = signToken(
+    { typ: "review_edit", sub: "eve", role: "owner" },
+    process.env.ADMIN_SESSION_SECRET
+  );
+  const unknownRole = sessionToken({ sub: "eve", role: "root" });
+  for (const token of [forged, otherType, unknownRole]) {
+    const response = await request("/viewer", {
+      Authorization: `Bearer ${token}`,
+    });
+    assert.equal(response.status, 401);
+  }
+});
+
+test("repeated failures are rate limited without locking out valid credentials", async () => {
+  const { max } = config.auth.failedAttemptsLimit;
+  // Behind the trusted proxy, each client is limited on its own address
+  const client = { "X-Forwarded-For": "203.0.113.9" };
+  const statuses = [];
+  for (let attempt = 0; attempt <= max; attempt++) {
+    const response = await request("/viewer", {
+      ...client,
+      "X-API-Key": "wrong-key",
+    });
+    statuses.push(response.status);
+  }
+  assert.deepEqual(statuses.slice(0, max), Array(max).fill(401));
+  assert.equal(statuses[max], 429);
+
+  const valid = await request("/viewer", {
+    ...client,
+    "X-API-Key": "viewer-key",
+  });
+  assert.equal(valid.status, 200);
+
+  const otherClient = await request("/viewer", {
+    "X-Forwarded-For": "203.0.113.10",
+    "X-API-Key": "wrong-key",
+  });
+  assert.equal(otherClient.status, 401);
+});
@@ -0,0 +1,56 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { detectFileType } = require("../src/utils/fileType");
+
+// An ISO base media file header: box size, "ftyp" and the major brand
+function isoFile(brand) {
+  return Buffer.concat([
+    Buffer.from([0x00, 0x00, 0x00, 0x20]),
+    Buffer.from(`ftyp${brand}`, "ascii"),
+    Buffer.alloc(20),
+  ]);
+}
+
+test("detects images and videos from their leading bytes", () => {
+  const jpeg = Buffer.concat([
+    Buffer.from([0xff, 0xd8, 0xff, 0xe0]),
+    Buffer.alloc(12),
+  ]);
+  const png = Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    Buffer.alloc(8),
+  ]);
+  const gif = Buffer.concat([Buffer.from("GIF89a"), Buffer.alloc(10)]);
+  const webm = Buffer.concat([
+    Buffer.from([0x1a, 0x45, 0xdf, 0xa3]),
+    Buffer.from("\x42\x82\x84webm"),
+    Buffer.alloc(8),
+  ]);
+
+  assert.equal(detectFileType(jpeg).mimeType, "image/jpeg");
+  assert.equal(detectFileType(png).mimeType, "image/png");
+  assert.equal(detectFileType(gif).mimeType, "image/gif");
+  assert.equal(detectFileType(webm).mimeType, "video/webm");
+});
+
+test("only known ISO base media brands are MP4, MOV or HEIC", () => {
+  ["isom", "iso2", "mp41", "mp42", "avc1", "M4V ", "dash"].forEach((brand) => {
+    assert.deepEqual(detectFileType(isoFile(brand)), {
+      mimeType: "video/mp4",
+      extension: "mp4",
+    });
+  });
+  assert.equal(detectFileType(isoFile("qt  ")).mimeType, "video/quicktime");
+  assert.equal(detectFileType(isoFile("heic")).mimeType, "image/heic");
+
+  // AVIF, 3GP and made-up brands are not passed off as MP4
+  ["avif", "avis", "3gp4", "3g2a", "xxxx"].forEach((brand) => {
+    assert.equal(detectFileType(isoFile(brand)), null, brand);
+  });
+});
+
+test("unknown and truncated content is not recognized", () => {
+  assert.equal(detectFileType(Buffer.from("<svg xmlns=...></svg>")), null);
+  assert.equal(detectFileType(Buffer.from([0xff, 0xd8])), null);
+  assert.equal(detectFileType(null), null);
+});
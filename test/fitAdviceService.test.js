@@ -0,0 +1,69 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fitAdviceService = require("../src/services/fitAdviceService");
+
+function reviews(entries) {
+  return entries.map(([sizePurchased, sizeFit]) => ({
+    sizePurchased,
+    sizeFit,
+    fitRating: 5,
+  }));
+}
+
+test("sizes up from the same-size reviews when the product runs small", () => {
+  const advice = fitAdviceService.adviseSize(
+    reviews([
+      ["30", 2],
+      ["W30 L32", 2],
+      ["30x34", 1],
+      ["31", 3],
+      ["32", 3],
+    ]),
+    "30"
+  );
+
+  assert.equal(advice.basedOn, "same_size");
+  assert.equal(advice.fitVerdict, "runs_small");
+  assert.equal(advice.adjustment, "size_up");
+  assert.equal(advice.recommendedSize, "31");
+  assert.equal(advice.supportingReviews, 3);
+});
+
+test("2XL and 3XL are letter sizes, not waist sizes", () => {
+  const advice = fitAdviceService.adviseSize(
+    reviews([
+      ["2XL", 4],
+      ["XXL", 5],
+      ["2xl", 4],
+      ["30", 3],
+      ["3XL", 3],
+    ]),
+    "XXL"
+  );
+
+  assert.equal(advice.basedOn, "same_size");
+  assert.equal(advice.adjustment, "size_down");
+  assert.equal(advice.recommendedSize, "XL");
+
+  const waist = fitAdviceService.adviseSize(
+    reviews([
+      ["2XL", 1],
+      ["3XL", 1],
+      ["32", 3],
+    ]),
+    "32"
+  );
+  assert.equal(waist.basedOn, "all_sizes");
+  assert.equal(waist.totalFitReviews, 3);
+  assert.equal(waist.recommendedSize, "33");
+});
+
+test("reviews with only a star fit rating give no advice", () => {
+  const advice = fitAdviceService.adviseSize(
+    [{ sizePurchased: "30", fitRating: 5, sizeFit: null }],
+    "30"
+  );
+
+  assert.equal(advice.recommendedSize, null);
+  assert.equal(advice.totalFitReviews, 0);
+});
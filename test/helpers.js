@@ -0,0 +1,100 @@
+const path = require("path");
+
+// Settings src/config requires, so services load without a .env
+process.env.SHOPIFY_STORE_DOMAIN =
+  process.env.SHOPIFY_STORE_DOMAIN || "test-shop.myshopify.com";
+process.env.SHOPIFY_ADMIN_API_ACCESS_TOKEN =
+  process.env.SHOPIFY_ADMIN_API_ACCESS_TOKEN || "test-token";
+
+/**
+ * Replace a module under src/ before anything requires it, e.g. the Prisma
+ * client with an in-memory stand-in
+ */
+function mockModule(relativePath, exports) {
+  const filename = require.resolve(path.join(__dirname, "..", relativePath));
+  require.cache[filename] = { id: filename, filename, loaded: true, exports };
+}
+
+function matches(row, where = {}) {
+  return Object.entries(where).every(([key, condition]) => {
+    const value = row[key];
+    if (condition instanceof Date) {
+      return value instanceof Date && value.getTime() === condition.getTime();
+    }
+    if (condition && typeof condition === "object") {
+      if ("in" in condition) return condition.in.includes(value);
+      if ("lt" in condition) return value != null && value < condition.lt;
+      if ("lte" in condition) return value != null && value <= condition.lte;
+    }
+    return value === condition;
+  });
+}
+
+function applyData(row, data) {
+  Object.entries(data).forEach(([key, value]) => {
+    row[key] =
+      value && typeof value === "object" && "increment" in value
+        ? row[key] + value.increment
+        : value;
+  });
+  return row;
+}
+
+/**
+ * In-memory table with the subset of the Prisma model API the sync outbox
+ * uses (create, createManyAndReturn, findUnique, findMany, updateMany).
+ * `unique` lists the columns with a unique index besides id.
+ */
+function createTable({ unique = [] } = {}) {
+  const rows = [];
+  let nextId = 1;
+
+  const isDuplicate = (data) =>
+    unique.some(
+      (key) => data[key] != null && rows.some((row) => row[key] === data[key])
+    );
+
+  return {
+    rows,
+    async create({ data }) {
+      if (isDuplicate(data)) {
+        throw Object.assign(new Error("Unique constraint failed"), {
+          code: "P2002",
+        });
+      }
+      const row = { id: String(nextId++), createdAt: new Date(), ...data };
+      rows.push(row);
+      return { ...row };
+    },
+    async createManyAndReturn({ data, skipDuplicates = false }) {
+      const created = [];
+      for (const item of data) {
+        if (skipDuplicates && isDuplicate(item)) {
+          continue;
+        }
+        created.push(await this.create({ data: item }));
+      }
+      return created;
+    },
+    async findUnique({ where }) {
+      const row = rows.find((candidate) => matches(candidate, where));
+      return row ? { ...row } : null;
+    },
+    async findMany({ where, take } = {}) {
+      return rows
+        .filter((row) => matches(row, where))
+        .slice(0, take || rows.length)
+        .map((row) => ({ ...row }));
+    },
+    async updateMany({ where, data }) {
+      const matched = rows.filter((row) => matches(row, where));
+      matched.forEach((row) => applyData(row, data));
+      return { count: matched.length };
+    },
+  };
+}
+
+module.exports = {
+  mockModule,
+  createTable,
+};
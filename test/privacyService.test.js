@@ -0,0 +1,246 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { mockModule } = require("./helpers");
+
+// Just enough of the Prisma client for redactCustomer, recording every write
+const state = {};
+const prisma = {
+  review: {
+    async findMany({ where }) {
+      if (!where.OR) {
+        // reconcileService: reviews that have a metaobject
+        return state.reviews.filter((review) => review.shopifyMetaobjectId);
+      }
+      return state.reviews.filter((review) =>
+        where.OR.some(
+          (condition) =>
+            (condition.authorEmail &&
+              (review.authorEmail || "").toLowerCase() ===
+                condition.authorEmail.equals) ||
+            (condition.verifiedOrderId &&
+              condition.verifiedOrderId.in.includes(review.verifiedOrderId))
+        )
+      );
+    },
+    async update({ where, data }) {
+      state.reviewUpdates.push({ id: where.id, data });
+    },
+  },
+  reviewMedia: {
+    async deleteMany({ where }) {
+      state.deletedMediaOf.push(where.reviewId);
+      return { count: 1 };
+    },
+  },
+  syncJob: {
+    async create({ data }) {
+      state.jobs.push(data);
+      return data;
+    },
+  },
+  reviewRequest: {
+    async findMany() {
+      return [{ id: "request-1" }];
+    },
+    async deleteMany({ where }) {
+      state.deletedRequests.push(where);
+      return { count: 1 };
+    },
+  },
+  emailLog: {
+    async deleteMany() {
+      return { count: 2 };
+    },
+  },
+  emailUnsubscribe: {
+    async deleteMany({ where }) {
+      state.deletedUnsubscribes.push(where.email);
+      return { count: 1 };
+    },
+  },
+  privacyRequest: {
+    async create({ data }) {
+      state.privacyRequests.push(data);
+      return data;
+    },
+  },
+  async $transaction(fn) {
+    return fn(prisma);
+  },
+};
+mockModule("src/services/prismaService.js", prisma);
+
+const shopifyService = require("../src/services/shopifyService");
+const privacyService = require("../src/services/privacyService");
+
+function metaobject(id, fields) {
+  return {
+    id,
+    handle: id,
+    fields: Object.entries(fields).map(([key, value]) => ({ key, value })),
+  };
+}
+
+beforeEach(() => {
+  Object.assign(state, {
+    reviews: [
+      {
+        id: "synced",
+        authorEmail: "Maria@Example.com",
+        shopifyMetaobjectId: "gid://shopify/Metaobject/1",
+        media: [
+          {
+            fileId: "gid://shopify/MediaImage/10",
+            thumbnailFileId: "gid://shopify/MediaImage/11",
+          },
+        ],
+      },
+      {
+        id: "unsynced",
+        authorEmail: null,
+        verifiedOrderId: "gid://shopify/Order/77",
+        shopifyMetaobjectId: null,
+        media: [{ fileId: null, thumbnailFileId: null }],
+      },
+      {
+        id: "someone-else",
+        authorEmail: "pedro@example.com",
+        shopifyMetaobjectId: "gid://shopify/Metaobject/3",
+        media: [],
+      },
+    ],
+    metaobjects: [
+      // Has a database row, anonymized through it
+      metaobject("gid://shopify/Metaobject/1", {
+        author_email: "maria@example.com",
+      }),
+      // Created before the database
+      metaobject("gid://shopify/Metaobject/2", {
+        product_id: "555",
+        author_email: "MARIA@example.com",
+        image: "gid://shopify/MediaImage/20",
+        media: '["gid://shopify/MediaImage/20","gid://shopify/Video/21"]',
+        thumbnails: "not json",
+      }),
+      metaobject("gid://shopify/Metaobject/4", {
+        author_email: "pedro@example.com",
+        image: "gid://shopify/MediaImage/40",
+      }),
+    ],
+    metaobjectPagesRead: 0,
+    reviewUpdates: [],
+    deletedMediaOf: [],
+    jobs: [],
+    deletedRequests: [],
+    deletedUnsubscribes: [],
+    privacyRequests: [],
+  });
+
+  shopifyService.getAllProductRatings = async (first, after) => {
+    state.metaobjectPagesRead++;
+    const start = after ? Number(after) : 0;
+    const page = state.metaobjects.slice(start, start + 2);
+    return {
+      edges: page.map((node) => ({ node })),
+      pageInfo: {
+        hasNextPage: start + 2 < state.metaobjects.length,
+        endCursor: String(start + 2),
+      },
+    };
+  };
+});
+
+test("anonymizes the customer's reviews and queues their Shopify cleanup", async () => {
+  const result = await privacyService.redactCustomer({
+    customerId: 9,
+    email: "maria@example.com",
+    orderIds: [77],
+  });
+
+  assert.deepEqual(
+    state.reviewUpdates.map((update) => update.id),
+    ["synced", "unsynced"]
+  );
+  assert.deepEqual(state.reviewUpdates[0].data, {
+    authorName: "Anonymous",
+    authorEmail: null,
+    verifiedOrderId: null,
+    reviewRequestId: null,
+    imageFileId: null,
+    videoFileId: null,
+    imageUrl: null,
+    mediaFileIds: [],
+    thumbnailFileIds: [],
+  });
+  assert.deepEqual(state.deletedMediaOf, ["synced", "unsynced"]);
+  assert.deepEqual(state.deletedUnsubscribes, ["maria@example.com"]);
+
+  // Only the review already in Shopify needs an update job
+  const updates = state.jobs.filter((job) => job.type === "review.update");
+  assert.deepEqual(
+    updates.filter((job) => job.reviewId).map((job) => job.reviewId),
+    ["synced"]
+  );
+  assert.equal(result.reviews, 2);
+  assert.equal(result.reviewRequests, 1);
+  assert.equal(result.emailLogs, 2);
+  assert.deepEqual(state.privacyRequests[0].result, result);
+});
+
+test("anonymizes metaobject-only reviews found by the customer's email", async () => {
+  const result = await privacyService.redactCustomer({
+    customerId: 9,
+    email: "maria@example.com",
+  });
+
+  assert.equal(state.metaobjectPagesRead, 2, "every page is read");
+  const legacyUpdates = state.jobs.filter(
+    (job) => job.type === "review.update" && !job.reviewId
+  );
+  assert.equal(legacyUpdates.length, 1);
+  assert.deepEqual(legacyUpdates[0].payload, {
+    metaobjectId: "gid://shopify/Metaobject/2",
+    productId: "555",
+    fields: {
+      author_name: "Anonymous",
+      author_email: "",
+      image: "",
+      video: "",
+      image_thumbnail: "",
+      media: "[]",
+      thumbnails: "[]",
+    },
+  });
+
+  const [filesJob] = state.jobs.filter((job) => job.type === "files.delete");
+  assert.deepEqual(filesJob.payload.fileIds, [
+    "gid://shopify/MediaImage/10",
+    "gid://shopify/MediaImage/11",
+    "gid://shopify/MediaImage/20",
+    "gid://shopify/Video/21",
+  ]);
+  assert.equal(result.legacyReviews, 1);
+});
+
+test("redacting by order alone does not walk the metaobjects", async () => {
+  const result = await privacyService.redactCustomer({
+    customerId: 9,
+    orderIds: [77],
+  });
+
+  assert.equal(state.metaobjectPagesRead, 0);
+  assert.deepEqual(
+    state.reviewUpdates.map((update) => update.id),
+    ["unsynced"]
+  );
+  assert.equal(result.legacyReviews, 0);
+  assert.equal(
+    state.jobs.some((job) => job.type === "files.delete"),
+    false
+  );
+});
+
+test("does nothing without an email or order", async () => {
+  assert.equal(await privacyService.redactCustomer({ customerId: 9 }), null);
+  assert.equal(state.privacyRequests.length, 0);
+});
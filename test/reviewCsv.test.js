@@ -0,0 +1,160 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { mockModule } = require("./helpers");
+
+const imported = [];
+mockModule("src/services/prismaService.js", {
+  review: {
+    findMany: async () => imported,
+  },
+});
+
+const { parseReviewCsv } = require("../src/utils/reviewCsv");
+const shopifyService = require("../src/services/shopifyService");
+const importService = require("../src/services/importService");
+
+function csv(lines) {
+  return Buffer.from(lines.join("\n"));
+}
+
+const judgeme = csv([
+  "﻿title,body,rating,review_date,source,curated,reviewer_name,reviewer_email,product_id,product_handle,reply,picture_urls",
+  'Great,"Fits well, love it",5,2021-03-04 10:00:00 UTC,web,ok,Ana Pérez,ana@x.com,,slim-jeans,Thanks Ana!,https://cdn.example/a.jpg https://cdn.example/b.jpg',
+  ",No title,4,2021-03-05,web,not-yet,Bob,,123,,,",
+  "Spam,Buy now,1,2021-03-06,web,spam,Eve,eve@x.com,,slim-jeans,,",
+]);
+
+const yotpo = csv([
+  "Review Title,Review Content,Review Score,Date,Product ID,Product URL,Display Name,Email,Published,Comment Content,Published Image URL,Sku",
+  "Nice,Soft denim,4,2020-01-02,,https://shop.example/products/slim-jeans?variant=1,Eve,e@x.com,true,,https://cdn.example/c.png,",
+  "Meh,Ok,3,2020-01-03,,,Fay,f@x.com,false,We are sorry,,SKU-1",
+]);
+
+const shopify = csv([
+  "product_handle,state,rating,title,author,email,location,body,reply,created_at,replied_at",
+  "slim-jeans,published,5,Wow,Gil,g@x.com,,Great,,2019-05-01T00:00:00Z,",
+  "slim-jeans,unpublished,2,Eh,Hal,h@x.com,,Bad,Sorry,not a date,",
+]);
+
+test("detects the export format from its columns", () => {
+  assert.equal(parseReviewCsv(judgeme).format, "judgeme");
+  assert.equal(parseReviewCsv(yotpo).format, "yotpo");
+  assert.equal(parseReviewCsv(shopify).format, "shopify");
+});
+
+test("maps Judge.me columns onto the review fields", () => {
+  const [first, second, third] = parseReviewCsv(judgeme).rows;
+
+  assert.deepEqual(first.fields, {
+    rating: "5",
+    title: "Great",
+    body: "Fits well, love it",
+    authorName: "Ana Pérez",
+    authorEmail: "ana@x.com",
+  });
+  assert.deepEqual(first.product, {
+    productId: undefined,
+    handle: "slim-jeans",
+    sku: undefined,
+  });
+  assert.equal(first.createdAt.toISOString(), "2021-03-04T10:00:00.000Z");
+  assert.equal(first.moderationStatus, "APPROVED");
+  assert.equal(first.reply, "Thanks Ana!");
+  assert.deepEqual(first.photoUrls, [
+    "https://cdn.example/a.jpg",
+    "https://cdn.example/b.jpg",
+  ]);
+
+  assert.equal(second.fields.title, undefined);
+  assert.equal(second.product.productId, "123");
+  assert.equal(second.moderationStatus, "PENDING");
+  assert.equal(third.moderationStatus, "SPAM");
+});
+
+test("maps Yotpo columns, taking the handle from the product URL", () => {
+  const [first, second] = parseReviewCsv(yotpo).rows;
+
+  assert.equal(first.fields.rating, "4");
+  assert.equal(first.fields.body, "Soft denim");
+  assert.equal(first.fields.authorName, "Eve");
+  assert.equal(first.product.handle, "slim-jeans");
+  assert.equal(first.moderationStatus, "APPROVED");
+  assert.deepEqual(first.photoUrls, ["https://cdn.example/c.png"]);
+
+  assert.equal(second.product.sku, "SKU-1");
+  assert.equal(second.moderationStatus, "PENDING");
+  assert.equal(second.reply, "We are sorry");
+});
+
+test("maps Shopify Product Reviews columns and flags unreadable dates", () => {
+  const [first, second] = parseReviewCsv(shopify).rows;
+
+  assert.equal(first.fields.authorName, "Gil");
+  assert.equal(first.fields.body, "Great");
+  assert.equal(first.product.handle, "slim-jeans");
+  assert.equal(first.moderationStatus, "APPROVED");
+  assert.deepEqual(first.errors, []);
+
+  assert.equal(second.moderationStatus, "PENDING");
+  assert.deepEqual(second.errors, ['Unreadable date "not a date"']);
+});
+
+test("rows without an ID get a stable key from their content", () => {
+  const first = parseReviewCsv(shopify).rows;
+  const again = parseReviewCsv(shopify).rows;
+
+  assert.equal(first[0].externalId, again[0].externalId);
+  assert.notEqual(first[0].externalId, first[1].externalId);
+});
+
+test("rejects unknown formats and unreadable files with a 400", () => {
+  assert.throws(() => parseReviewCsv(csv(["a,b", "1,2"])), {
+    status: 400,
+    message: /Unrecognized CSV columns/,
+  });
+  assert.throws(() => parseReviewCsv(shopify, "okendo"), { status: 400 });
+  assert.throws(() => parseReviewCsv(Buffer.from('x,"y\n')), {
+    status: 400,
+    message: /Invalid CSV/,
+  });
+});
+
+test("a dry run resolves products and reports every row", async () => {
+  const lookups = [];
+  shopifyService.findProductIdByHandle = async (handle) => {
+    lookups.push(handle);
+    return handle === "slim-jeans" ? "777" : null;
+  };
+  shopifyService.findProductIdBySku = async (sku) =>
+    sku === "SKU-1" ? "888" : null;
+
+  const report = await importService.importCsv(
+    csv([
+      "product_handle,state,rating,title,author,email,body,created_at",
+      "slim-jeans,published,5,Wow,Gil,g@x.com,Great,2019-05-01",
+      "slim-jeans,published,9,Eh,Hal,h@x.com,Bad,2019-05-02",
+      "gone,published,4,Ok,Ida,i@x.com,Fine,2019-05-03",
+      "slim-jeans,published,5,Wow,Gil,g@x.com,Great,2019-05-01",
+    ]),
+    { dryRun: true }
+  );
+
+  assert.equal(report.format, "shopify");
+  assert.deepEqual(
+    report.rows.map((row) => row.status),
+    ["valid", "failed", "failed", "skipped"]
+  );
+  assert.equal(report.rows[0].productId, "777");
+  assert.match(report.rows[1].errors[0], /"rating" must be less than/);
+  assert.deepEqual(report.rows[2].errors, ["Product not found in Shopify"]);
+  assert.equal(report.rows[3].reason, "duplicate of an earlier row");
+  assert.deepEqual(lookups, ["slim-jeans", "gone"], "lookups are cached");
+  assert.equal(report.created, 0);
+});
+
+test("imports refuse files over the row limit", async () => {
+  await assert.rejects(
+    importService.importCsv(judgeme, { dryRun: true, maxRows: 2 }),
+    { status: 413 }
+  );
+});
@@ -0,0 +1,69 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+require("./helpers");
+
+process.env.REVIEW_EDIT_SECRET = "test-edit-secret";
+process.env.REVIEW_EDIT_URL =
+  "https://shop.example/pages/edit-review?token={token}";
+
+const config = require("../src/config");
+const { signToken } = require("../src/utils/signedToken");
+const {
+  issueEditToken,
+  readEditToken,
+} = require("../src/utils/reviewEditToken");
+
+test("an edit token reads back as the review it was issued for", () => {
+  const edit = issueEditToken("review-1");
+
+  assert.equal(readEditToken(edit.token), "review-1");
+  assert.equal(
+    edit.url,
+    `https://shop.example/pages/edit-review?token=${encodeURIComponent(
+      edit.token
+    )}`
+  );
+  const ttlMs = config.reviewEdit.tokenTtlSeconds * 1000;
+  assert.ok(Math.abs(Date.parse(edit.expiresAt) - (Date.now() + ttlMs)) < 5000);
+});
+
+test("tampered, foreign, expired and other kinds of tokens are rejected", () => {
+  const { token } = issueEditToken("review-1");
+  const [payload, signature] = token.split(".");
+  const otherPayload = issueEditToken("review-2").token.split(".")[0];
+
+  [
+    `${otherPayload}.${signature}`,
+    `${payload}.${signature.slice(0, -2)}`,
+    signToken({ typ: "review_edit", sub: "review-1" }, "another-secret"),
+    signToken(
+      { typ: "review_request", sub: "review-1" },
+      config.reviewEdit.secret
+    ),
+    signToken(
+      { typ: "review_edit", sub: "review-1" },
+      config.reviewEdit.secret,
+      {
+        expiresInSeconds: -60,
+      }
+    ),
+    "",
+    undefined,
+  ].forEach((candidate) => {
+    assert.equal(readEditToken(candidate), null, String(candidate));
+  });
+});
+
+test("no token is issued without a signing secret", () => {
+  const { secret } = config.reviewEdit;
+  config.reviewEdit.secret = undefined;
+  try {
+    assert.equal(issueEditToken("review-1"), null);
+    assert.equal(
+      readEditToken(signToken({ typ: "review_edit", sub: "review-1" }, secret)),
+      null
+    );
+  } finally {
+    config.reviewEdit.secret = secret;
+  }
+});
@@ -0,0 +1,127 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+require("./helpers");
+
+const config = require("../src/config");
+const screeningService = require("../src/services/screeningService");
+
+function screen(body, fields = {}, context) {
+  return screeningService.screen(
+    {
+      title: "My jeans",
+      body,
+      authorName: "Ana",
+      authorEmail: "ana@example.com",
+      ...fields,
+    },
+    context
+  );
+}
+
+function ruleIds(result) {
+  return result.matchedRules.map((match) => match.rule);
+}
+
+test("a clean review passes and waits for a moderator by default", () => {
+  const result = screen("Great fit, the denim is soft and holds its shape.");
+
+  assert.equal(result.score, 0);
+  assert.equal(result.decision, "pass");
+  assert.equal(result.moderationStatus, "PENDING");
+});
+
+test("clean reviews are approved when auto-approve is on", () => {
+  config.screening.autoApproveClean = true;
+  try {
+    assert.equal(screen("Fits as expected.").moderationStatus, "APPROVED");
+    assert.equal(
+      screen("Call me at 612 345 678").moderationStatus,
+      "PENDING",
+      "held reviews are never auto-approved"
+    );
+  } finally {
+    config.screening.autoApproveClean = false;
+  }
+});
+
+test("profanity is found through accents and character substitutions", () => {
+  assert.deepEqual(ruleIds(screen("Qué m1erd4 de pantalón")), ["profanity"]);
+  assert.deepEqual(ruleIds(screen("Pure sh1t")), ["profanity"]);
+  assert.deepEqual(ruleIds(screen("Shiitake mushrooms")), []);
+});
+
+test("a single rule at the hold score holds the review", () => {
+  const result = screen("Write me at ana.lopez@gmail.com for pictures");
+
+  assert.deepEqual(ruleIds(result), ["email"]);
+  assert.equal(result.score, config.screening.holdScore);
+  assert.equal(result.decision, "hold");
+  assert.equal(result.moderationStatus, "PENDING");
+});
+
+test("links count as a link, email domains only as an email", () => {
+  assert.deepEqual(ruleIds(screen("Cheaper at www.jeans-outlet.com")), ["url"]);
+  assert.deepEqual(ruleIds(screen("Mail me: ana@jeans.com")), ["email"]);
+});
+
+test("phone numbers are detected, dates and order numbers are not", () => {
+  [
+    "Call me 612 345 678",
+    "Escríbeme al +34 612-345-678",
+    "WhatsApp 612345678",
+    "(555) 123-4567",
+  ].forEach((body) => assert.deepEqual(ruleIds(screen(body)), ["phone"], body));
+
+  [
+    "Bought on 2023-05-01, fits great",
+    "Llegó el 01/05/2023, o sea el 01.05.2023",
+    "Order #100234567 arrived late",
+    "Pedido # 1002-3456 sin problemas",
+    "Worn from 2023-05-01 to 2023-06-01",
+    "Style W3000123 in size 32",
+  ].forEach((body) => assert.deepEqual(ruleIds(screen(body)), [], body));
+});
+
+test("rules add up to the reject score and the top scorer decides", () => {
+  const result = screen("BUY CHEAP JEANS NOW AT www.cheap-jeans.com FUCK YES");
+
+  assert.ok(result.score >= config.screening.rejectScore);
+  assert.equal(result.decision, "reject");
+  // profanity and url both score 40, the first matched wins
+  assert.equal(result.moderationStatus, "REJECTED");
+  assert.equal(result.rejectionReason, "inappropriate_language");
+});
+
+test("a blocklisted IP rejects the review as spam", () => {
+  const { blocklist } = config.screening;
+  blocklist.ips.push("203.0.113.9");
+  try {
+    const blocked = screen("Nice", {}, { ip: "::ffff:203.0.113.9" });
+    assert.deepEqual(ruleIds(blocked), ["blockedIp"]);
+    assert.equal(blocked.decision, "reject");
+    assert.equal(blocked.moderationStatus, "SPAM");
+  } finally {
+    blocklist.ips.pop();
+  }
+});
+
+test("a blocklisted email domain rejects the review as spam", () => {
+  const { blocklist } = config.screening;
+  blocklist.emails.push("@spam.example");
+  try {
+    const result = screen("Nice", { authorEmail: "Bot@Spam.example" });
+    assert.deepEqual(ruleIds(result), ["blockedEmail"]);
+    assert.equal(result.moderationStatus, "SPAM");
+  } finally {
+    blocklist.emails.pop();
+  }
+});
+
+test("shouting and repeated characters only count with enough text", () => {
+  assert.deepEqual(ruleIds(screen("GREAT JEANS, LOVE THEM SO MUCH")), [
+    "allCaps",
+  ]);
+  assert.deepEqual(ruleIds(screen("OK")), []);
+  assert.deepEqual(ruleIds(screen("Sooooo good")), ["repeatedCharacters"]);
+  assert.deepEqual(ruleIds(screen("Sooo good")), []);
+});
@@ -0,0 +1,122 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+require("./helpers");
+
+const config = require("../src/config");
+const shopifyService = require("../src/services/shopifyService");
+
+/**
+ * Stand-in for the GraphQL client: answers the custom.ratings read from
+ * `metafield` and each metafieldsSet with the next of `setResponses`
+ */
+function mockClient(metafield, setResponses) {
+  const calls = { reads: 0, writes: [] };
+  shopifyService.client = {
+    request: async (query, variables) => {
+      if (query.includes("metafieldsSet")) {
+        calls.writes.push(variables.metafields[0]);
+        return { metafieldsSet: setResponses.shift() };
+      }
+      calls.reads++;
+      return { product: { metafield: metafield() } };
+    },
+  };
+  return calls;
+}
+
+const ok = { metafields: [], userErrors: [] };
+const stale = {
+  metafields: [],
+  userErrors: [{ message: "Stale", code: "STALE_OBJECT" }],
+};
+
+test("links a rating with a compare-and-swap on the current digest", async () => {
+  const calls = mockClient(
+    () => ({ value: '["gid://1"]', compareDigest: "digest-1" }),
+    [ok]
+  );
+
+  const ratings = await shopifyService.linkRatingToProduct(10, "gid://2");
+
+  assert.deepEqual(ratings, ["gid://1", "gid://2"]);
+  assert.equal(calls.writes.length, 1);
+  assert.equal(calls.writes[0].compareDigest, "digest-1");
+  assert.equal(calls.writes[0].value, '["gid://1","gid://2"]');
+});
+
+test("re-reads the list and retries when another writer changed it", async () => {
+  let version = 0;
+  const calls = mockClient(
+    () =>
+      version++ === 0
+        ? { value: '["gid://1"]', compareDigest: "digest-1" }
+        : { value: '["gid://1","gid://3"]', compareDigest: "digest-2" },
+    [stale, ok]
+  );
+
+  const ratings = await shopifyService.linkRatingToProduct(11, "gid://2");
+
+  assert.deepEqual(ratings, ["gid://1", "gid://3", "gid://2"]);
+  assert.equal(calls.reads, 2);
+  assert.equal(calls.writes[1].compareDigest, "digest-2");
+});
+
+test("gives up after the configured number of stale writes", async () => {
+  const { ratingsUpdateMaxAttempts } = config.shopify;
+  const calls = mockClient(
+    () => ({ value: "[]", compareDigest: "digest" }),
+    Array.from({ length: ratingsUpdateMaxAttempts }, () => stale)
+  );
+
+  await assert.rejects(
+    shopifyService.linkRatingToProduct(12, "gid://2"),
+    /kept changing after/
+  );
+  assert.equal(calls.writes.length, ratingsUpdateMaxAttempts);
+});
+
+test("fails without retrying on other user errors", async () => {
+  const calls = mockClient(
+    () => ({ value: "[]", compareDigest: "digest" }),
+    [{ metafields: [], userErrors: [{ message: "Invalid", code: "INVALID" }] }]
+  );
+
+  await assert.rejects(
+    shopifyService.linkRatingToProduct(13, "gid://2"),
+    /Shopify API Error: Invalid/
+  );
+  assert.equal(calls.writes.length, 1);
+});
+
+test("creates the metafield with a null digest when it does not exist", async () => {
+  const calls = mockClient(() => null, [ok]);
+
+  await shopifyService.linkRatingToProduct(14, "gid://2");
+
+  assert.equal(calls.writes[0].compareDigest, null);
+});
+
+test("never writes when the list cannot be read", async () => {
+  const calls = mockClient(
+    () => ({ value: "{not json", compareDigest: "digest" }),
+    []
+  );
+
+  await assert.rejects(
+    shopifyService.unlinkRatingFromProduct(15, "gid://2"),
+    /unreadable custom.ratings/
+  );
+  assert.equal(calls.writes.length, 0);
+});
+
+test("skips the write when the rating is already linked", async () => {
+  const calls = mockClient(
+    () => ({ value: '["gid://2"]', compareDigest: "digest" }),
+    []
+  );
+
+  assert.deepEqual(await shopifyService.linkRatingToProduct(16, "gid://2"), [
+    "gid://2",
+  ]);
+  assert.equal(calls.writes.length, 0);
+});
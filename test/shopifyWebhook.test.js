@@ -0,0 +1,93 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+require("./helpers");
+
+process.env.SHOPIFY_SECRET_API_KEY = "test-webhook-secret";
+
+const { verifyShopifyWebhook } = require("../src/middleware/shopifyWebhook");
+
+function sign(body, secret = process.env.SHOPIFY_SECRET_API_KEY) {
+  return crypto.createHmac("sha256", secret).update(body).digest("base64");
+}
+
+// Run the middleware on a raw body and headers, as express.raw leaves them
+function verify(body, headers) {
+  const req = {
+    body: Buffer.from(body),
+    get: (name) => headers[name],
+  };
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      this.body = payload;
+      return this;
+    },
+  };
+  let nextCalled = false;
+  verifyShopifyWebhook(req, res, () => {
+    nextCalled = true;
+  });
+  return { req, res, nextCalled };
+}
+
+const body = JSON.stringify({ id: 123, title: "Slim jeans" });
+const headers = {
+  "X-Shopify-Webhook-Id": "webhook-1",
+  "X-Shopify-Topic": "products/update",
+  "X-Shopify-Shop-Domain": "test-shop.myshopify.com",
+};
+
+test("accepts a body signed with the app's API secret", () => {
+  const { req, nextCalled } = verify(body, {
+    ...headers,
+    "X-Shopify-Hmac-Sha256": sign(body),
+  });
+
+  assert.ok(nextCalled);
+  assert.deepEqual(req.webhook, {
+    id: "webhook-1",
+    topic: "products/update",
+    shopDomain: "test-shop.myshopify.com",
+    payload: { id: 123, title: "Slim jeans" },
+  });
+});
+
+test("rejects missing, foreign and outdated signatures with a 401", () => {
+  const signatures = [
+    undefined,
+    sign(body, "another-secret"),
+    sign(JSON.stringify({ id: 123, title: "Old title" })),
+    "not base64!",
+  ];
+
+  signatures.forEach((signature) => {
+    const { res, nextCalled } = verify(body, {
+      ...headers,
+      "X-Shopify-Hmac-Sha256": signature,
+    });
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 401);
+  });
+});
+
+test("rejects signed requests without an ID, a topic or a JSON body", () => {
+  const withoutId = { ...headers, "X-Shopify-Webhook-Id": undefined };
+  const { res } = verify(body, {
+    ...withoutId,
+    "X-Shopify-Hmac-Sha256": sign(body),
+  });
+  assert.equal(res.statusCode, 400);
+
+  const notJson = "id=123";
+  const { res: notJsonRes, nextCalled } = verify(notJson, {
+    ...headers,
+    "X-Shopify-Hmac-Sha256": sign(notJson),
+  });
+  assert.equal(notJsonRes.statusCode, 400);
+  assert.equal(nextCalled, false);
+});
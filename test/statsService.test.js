@@ -0,0 +1,53 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const statsService = require("../src/services/statsService");
+
+function review(fields) {
+  return {
+    rating: 5,
+    isVerifiedBuyer: false,
+    recommendsProduct: true,
+    ...fields,
+  };
+}
+
+test("the fit breakdown only counts reviews that said how the size fits", () => {
+  const stats = statsService.computeReviewStats([
+    review({ fitRating: 5, sizeFit: 2, sizePurchased: "30" }),
+    review({ fitRating: 4, sizeFit: 3, sizePurchased: "30" }),
+    review({ fitRating: 5, sizeFit: 3, sizePurchased: "32" }),
+    // Written before sizeFit was asked: 5 stars is not "runs very large"
+    review({ fitRating: 5, sizePurchased: "32" }),
+    review({ fitRating: 5 }),
+  ]);
+
+  assert.deepEqual(stats.fitDistribution, {
+    runs_small: { count: 1, percentage: 33 },
+    true_to_size: { count: 2, percentage: 67 },
+    runs_large: { count: 0, percentage: 0 },
+  });
+  assert.equal(stats.fitVerdict, "true_to_size");
+  assert.equal(stats.averageFitRating, 4.8);
+  assert.deepEqual(
+    stats.sizeBreakdown.map((size) => [
+      size.size,
+      size.count,
+      size.fit.totalRated,
+    ]),
+    [
+      ["30", 2, 2],
+      ["32", 2, 1],
+    ]
+  );
+});
+
+test("no fit verdict without any size fit answer", () => {
+  const stats = statsService.computeReviewStats([
+    review({ fitRating: 5 }),
+    review({ fitRating: 1 }),
+  ]);
+
+  assert.equal(stats.fitVerdict, null);
+  assert.equal(stats.fitDistribution.runs_large.count, 0);
+  assert.equal(stats.averageFitRating, 3);
+});
@@ -0,0 +1,164 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { mockModule, createTable } = require("./helpers");
+
+const prisma = { syncJob: createTable({ unique: ["dedupeKey"] }) };
+mockModule("src/services/prismaService.js", prisma);
+
+const config = require("../src/config");
+const syncJobService = require("../src/services/syncJobService");
+const syncWorker = require("../src/workers/syncWorker");
+const jobHandlers = require("../src/workers/jobHandlers");
+
+beforeEach(() => {
+  prisma.syncJob.rows.length = 0;
+});
+
+async function enqueueJob(type, fields = {}) {
+  const job = await syncJobService.enqueue(type);
+  Object.assign(
+    prisma.syncJob.rows.find((row) => row.id === job.id),
+    { status: "PENDING", attempts: 0, ...fields }
+  );
+  return syncJobService.getJob(job.id);
+}
+
+test("backoff doubles per attempt within ±20% and stops at the cap", () => {
+  const { baseBackoffMs, maxBackoffMs } = config.sync;
+
+  for (let attempts = 1; attempts <= 4; attempts++) {
+    const expected = baseBackoffMs * Math.pow(2, attempts - 1);
+    const delay = syncJobService.computeBackoffMs(attempts);
+    assert.ok(delay >= expected * 0.8 && delay <= expected * 1.2);
+  }
+  assert.equal(syncJobService.computeBackoffMs(50), maxBackoffMs);
+});
+
+test("a failed attempt schedules a retry until the job is dead-lettered", async () => {
+  let job = await enqueueJob("test.failing", { maxAttempts: 2 });
+
+  const lockedAt = await syncJobService.claim(job.id);
+  const failed = await syncJobService.markFailed(
+    job,
+    new Error("boom"),
+    lockedAt
+  );
+  assert.equal(failed.status, "FAILED");
+  assert.equal(failed.attempts, 1);
+  assert.equal(failed.lastError, "boom");
+  assert.ok(failed.runAt > new Date());
+
+  job = await syncJobService.getJob(job.id);
+  const secondLock = await syncJobService.claim(job.id);
+  const dead = await syncJobService.markFailed(
+    job,
+    new Error("boom again"),
+    secondLock
+  );
+  assert.equal(dead.status, "DEAD");
+  assert.equal(dead.attempts, 2);
+  assert.equal((await syncJobService.getJob(job.id)).status, "DEAD");
+});
+
+test("a job can only be claimed by one run", async () => {
+  const job = await enqueueJob("test.claim", { maxAttempts: 3 });
+
+  assert.ok(await syncJobService.claim(job.id));
+  assert.equal(await syncJobService.claim(job.id), null);
+});
+
+test("stale locks count as failed attempts and end in the dead-letter", async () => {
+  const job = await enqueueJob("test.crashing", { maxAttempts: 2 });
+  const expire = () => {
+    prisma.syncJob.rows[0].lockedAt = new Date(
+      Date.now() - config.sync.lockTimeoutMs - 1000
+    );
+  };
+
+  await syncJobService.claim(job.id);
+  expire();
+  let [released] = await syncJobService.releaseStaleLocks();
+  assert.equal(released.status, "FAILED");
+  assert.equal(released.attempts, 1);
+  assert.equal(released.lastError, "Lock timed out");
+
+  await syncJobService.claim(job.id);
+  expire();
+  [released] = await syncJobService.releaseStaleLocks();
+  assert.equal(released.status, "DEAD");
+  assert.equal(released.attempts, 2);
+});
+
+test("a run whose lock was released cannot overwrite the new run", async () => {
+  const job = await enqueueJob("test.slow", { maxAttempts: 5 });
+
+  await syncJobService.claim(job.id);
+  // The first run started long ago, its lock has timed out
+  const staleLock = new Date(0);
+  prisma.syncJob.rows[0].lockedAt = staleLock;
+  await syncJobService.releaseStaleLocks();
+  const currentLock = await syncJobService.claim(job.id);
+
+  assert.equal(await syncJobService.markCompleted(job.id, staleLock), false);
+  assert.equal(
+    await syncJobService.markFailed(job, new Error("late"), staleLock),
+    null
+  );
+  assert.equal((await syncJobService.getJob(job.id)).status, "PROCESSING");
+
+  assert.equal(await syncJobService.markCompleted(job.id, currentLock), true);
+  assert.equal((await syncJobService.getJob(job.id)).status, "COMPLETED");
+});
+
+test("the worker completes a job once its handler succeeds", async () => {
+  let calls = 0;
+  jobHandlers["test.flaky"] = async () => {
+    calls++;
+    if (calls === 1) {
+      throw new Error("Shopify is down");
+    }
+  };
+  const job = await enqueueJob("test.flaky", { maxAttempts: 3 });
+
+  let result = await syncWorker.runNow(job.id);
+  assert.equal(result.status, "FAILED");
+  assert.equal(result.attempts, 1);
+
+  prisma.syncJob.rows[0].runAt = new Date(0);
+  result = await syncWorker.runNow(job.id);
+  assert.equal(result.status, "COMPLETED");
+  assert.equal(result.attempts, 2);
+  assert.equal(result.lastError, null);
+
+  delete jobHandlers["test.flaky"];
+});
+
+test("jobs without a handler are retried and then dead-lettered", async () => {
+  const job = await enqueueJob("test.unknown", { maxAttempts: 1 });
+
+  const result = await syncWorker.runNow(job.id);
+  assert.equal(result.status, "DEAD");
+  assert.match(result.lastError, /No handler registered/);
+});
+
+test("enqueueOnce keeps one waiting job per type and payload", async () => {
+  const payload = { productId: "42" };
+  const [first, second] = await Promise.all([
+    syncJobService.enqueueOnce("product.summary", { payload }),
+    syncJobService.enqueueOnce("product.summary", { payload }),
+  ]);
+  assert.equal(second.id, first.id);
+  assert.equal(prisma.syncJob.rows.length, 1);
+
+  const otherProduct = await syncJobService.enqueueOnce("product.summary", {
+    payload: { productId: "43" },
+  });
+  assert.notEqual(otherProduct.id, first.id);
+
+  // Changes made while the job runs need a run of their own
+  prisma.syncJob.rows[0].status = "PENDING";
+  await syncJobService.claim(first.id);
+  const next = await syncJobService.enqueueOnce("product.summary", { payload });
+  assert.notEqual(next.id, first.id);
+  assert.equal(prisma.syncJob.rows.length, 3);
+});
@@ -0,0 +1,56 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+require("./helpers");
+
+process.env.VISITOR_TOKEN_SECRET = "test-visitor-secret";
+
+const config = require("../src/config");
+const {
+  hashVisitorToken,
+  hashClientIp,
+  issueVisitorToken,
+  isValidVisitorToken,
+} = require("../src/utils/visitorHash");
+
+test("issued visitor tokens verify, made-up and altered ones do not", () => {
+  const token = issueVisitorToken();
+  assert.ok(isValidVisitorToken(token));
+  assert.notEqual(issueVisitorToken(), token);
+
+  const [id, signature] = token.split(".");
+  const otherId = issueVisitorToken().split(".")[0];
+  [
+    "my-own-token",
+    `${otherId}.${signature}`,
+    `${id}.${signature.slice(0, -1)}`,
+    `${token}.extra`,
+    "",
+    null,
+    "a".repeat(201),
+  ].forEach((candidate) => {
+    assert.equal(isValidVisitorToken(candidate), false, String(candidate));
+  });
+});
+
+test("tokens signed with another secret are rejected", () => {
+  const token = issueVisitorToken();
+  const { secret } = config.visitors;
+  config.visitors.secret = "another-secret";
+  try {
+    assert.equal(isValidVisitorToken(token), false);
+  } finally {
+    config.visitors.secret = secret;
+  }
+});
+
+test("tokens and IPs are stored as keyed hashes", () => {
+  const token = issueVisitorToken();
+  assert.match(hashVisitorToken(token), /^[0-9a-f]{64}$/);
+  assert.equal(hashVisitorToken(token), hashVisitorToken(token));
+  assert.ok(!hashVisitorToken(token).includes(token));
+
+  // IPv4-mapped IPv6 addresses count as the IPv4 address
+  assert.equal(hashClientIp("::ffff:203.0.113.7"), hashClientIp("203.0.113.7"));
+  assert.notEqual(hashClientIp("203.0.113.7"), hashClientIp("203.0.113.8"));
+  assert.equal(hashClientIp(undefined), null);
+});